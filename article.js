@@ -0,0 +1,433 @@
+// Readable content extraction for full-article and rich selection captures. extractArticle runs
+// in the page through chrome.scripting.executeScript, so everything it uses is defined inside it.
+
+/**
+ * Finds the page's main content, Readability-style, and converts it block by block
+ * (paragraphs, headings, lists, code blocks, quotes, tables, figures) to plain text,
+ * Markdown and sanitized HTML. The root is the page's `articleBody`, `<article>` or
+ * `<main>` when one holds most of the text, or otherwise the element whose paragraphs
+ * score highest. Scripts, navigation, forms and sidebar-like elements are dropped, and
+ * the HTML keeps only basic formatting tags with `http(s)` links and image sources.
+ *
+ * With `selectionOnly`, the current selection is converted instead of the main content,
+ * inside the list, code block, quote or table it was made in so those keep their shape.
+ *
+ * Blocks are returned until their HTML reaches `maxLength` characters, so the caller
+ * can cut the article down further without breaking its markup.
+ *
+ * @param {number} maxLength - The most HTML characters to return.
+ * @param {boolean} [selectionOnly=false] - Whether to convert the selection rather than the main content.
+ * @returns {{title: string|null, blocks: Array<{text: string, markdown: string, html: string}>, wordCount: number, truncated: boolean}|null}
+ *   The article, or null when the page has no readable content (or nothing is selected).
+ */
+// biome-ignore lint/correctness/noUnusedVariables: used by background.js
+function extractArticle(maxLength, selectionOnly = false) {
+  const UNLIKELY =
+    /comment|sidebar|footer|masthead|\bnav|menu|share|social|related|promo|banner|advert|\bads?\b|cookie|popup|modal|newsletter|subscribe/i;
+  const REMOVED =
+    "script, style, noscript, template, iframe, object, embed, form, button, input, select, textarea, nav, aside, footer, svg, canvas, dialog, [hidden], [aria-hidden='true'], [role='navigation'], [role='complementary']";
+  const BLOCK_TAGS = new Set([
+    "ADDRESS",
+    "ARTICLE",
+    "BLOCKQUOTE",
+    "DD",
+    "DETAILS",
+    "DIV",
+    "DL",
+    "DT",
+    "FIGCAPTION",
+    "FIGURE",
+    "H1",
+    "H2",
+    "H3",
+    "H4",
+    "H5",
+    "H6",
+    "HEADER",
+    "HR",
+    "LI",
+    "MAIN",
+    "OL",
+    "P",
+    "PRE",
+    "SECTION",
+    "SUMMARY",
+    "TABLE",
+    "UL",
+  ]);
+
+  const textLength = (element) =>
+    element.textContent.replace(/\s+/g, " ").trim().length;
+  const linkDensity = (element) => {
+    const linkText = [...element.querySelectorAll("a")].reduce(
+      (total, link) => total + link.textContent.trim().length,
+      0,
+    );
+    return linkText / Math.max(1, textLength(element));
+  };
+  const nameOf = (element) =>
+    `${element.getAttribute("class") || ""} ${element.id || ""}`;
+
+  let root = null;
+  if (selectionOnly) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+      return null;
+    }
+    root = document.createElement("div");
+    for (let index = 0; index < selection.rangeCount; index++) {
+      const range = selection.getRangeAt(index);
+      const common = range.commonAncestorContainer;
+      const container = (
+        common.nodeType === Node.ELEMENT_NODE ? common : common.parentElement
+      )?.closest("pre, ul, ol, blockquote, table");
+      const wrapper = container
+        ? container.cloneNode(false)
+        : document.createElement("div");
+      wrapper.append(range.cloneContents());
+      root.append(wrapper);
+    }
+  } else {
+    // Prefer the page's own markup for the article when it holds most of the text
+    const bodyLength = textLength(document.body);
+    const marked = [
+      ...document.querySelectorAll(
+        "[itemprop='articleBody'], article, main, [role='main']",
+      ),
+    ]
+      .map((element) => ({ element, length: textLength(element) }))
+      .filter(({ length }) => length >= 500 && length >= bodyLength * 0.4)
+      .sort((a, b) => b.length - a.length);
+    root = marked[0]?.element || null;
+  }
+
+  // Otherwise score paragraph containers: longer, comma-rich text counts more,
+  // half of it goes to the grandparent, and link-heavy or sidebar-like containers count less
+  if (!root) {
+    const scores = new Map();
+    document.querySelectorAll("p, pre, td, blockquote").forEach((block) => {
+      const text = block.textContent.trim();
+      if (text.length < 25) return;
+      const score =
+        1 + text.split(",").length + Math.min(3, Math.floor(text.length / 100));
+      const parent = block.parentElement;
+      const grandparent = parent?.parentElement;
+      if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+      if (grandparent) {
+        scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+      }
+    });
+
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      const adjusted =
+        score *
+        (1 - linkDensity(element)) *
+        (UNLIKELY.test(nameOf(element)) ? 0.2 : 1);
+      if (adjusted > bestScore) {
+        bestScore = adjusted;
+        root = element;
+      }
+    });
+  }
+  if (!root) return null;
+
+  const content = root.cloneNode(true);
+  content.querySelectorAll(REMOVED).forEach((element) => {
+    element.remove();
+  });
+  // A selection is kept whole; only the main content is cleared of sidebars and share boxes
+  content.querySelectorAll("*").forEach((element) => {
+    if (
+      !selectionOnly &&
+      content.contains(element) &&
+      UNLIKELY.test(nameOf(element)) &&
+      (textLength(element) < 200 || linkDensity(element) > 0.5)
+    ) {
+      element.remove();
+    }
+  });
+
+  const absoluteUrl = (value) => {
+    if (!value) return null;
+    try {
+      const url = new URL(value, document.baseURI);
+      return /^(https?|mailto):$/.test(url.protocol) ? url.href : null;
+    } catch {
+      return null;
+    }
+  };
+  const escapeHtml = (text) =>
+    text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  const escapeMarkdown = (text) => text.replace(/([\\`*_[\]])/g, "\\$1");
+  const collapse = (text) => text.replace(/\s+/g, " ");
+  const INLINE_FORMATS = {
+    STRONG: ["**", "strong"],
+    B: ["**", "strong"],
+    EM: ["_", "em"],
+    I: ["_", "em"],
+    DEL: ["~~", "del"],
+    S: ["~~", "del"],
+  };
+
+  // Inline content becomes one run of text, Markdown and HTML
+  const convertInline = (nodes) => {
+    const result = { text: "", markdown: "", html: "" };
+    const append = (text, markdown, html) => {
+      result.text += text;
+      result.markdown += markdown;
+      result.html += html;
+    };
+
+    nodes.forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = collapse(node.textContent);
+        append(text, escapeMarkdown(text), escapeHtml(text));
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.tagName;
+      if (tag === "BR") {
+        append("\n", "  \n", "<br>");
+      } else if (tag === "IMG") {
+        const src = absoluteUrl(
+          node.getAttribute("src") || node.getAttribute("data-src"),
+        );
+        if (!src) return;
+        const alt = collapse(node.getAttribute("alt") || "").trim();
+        append(
+          alt,
+          `![${escapeMarkdown(alt)}](${src})`,
+          `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}">`,
+        );
+      } else if (tag === "CODE" || tag === "KBD" || tag === "SAMP") {
+        const code = node.textContent;
+        if (code) {
+          append(code, `\`${code}\``, `<code>${escapeHtml(code)}</code>`);
+        }
+      } else if (tag === "A") {
+        const inner = convertInline([...node.childNodes]);
+        const href = absoluteUrl(node.getAttribute("href"));
+        append(
+          inner.text,
+          href && inner.markdown.trim()
+            ? `[${inner.markdown.trim()}](${href})`
+            : inner.markdown,
+          href ? `<a href="${escapeHtml(href)}">${inner.html}</a>` : inner.html,
+        );
+      } else {
+        const inner = convertInline([...node.childNodes]);
+        const format = INLINE_FORMATS[tag];
+        if (format && inner.text.trim()) {
+          append(
+            inner.text,
+            `${format[0]}${inner.markdown.trim()}${format[0]}`,
+            `<${format[1]}>${inner.html}</${format[1]}>`,
+          );
+        } else {
+          append(inner.text, inner.markdown, inner.html);
+        }
+      }
+    });
+    return result;
+  };
+  // Removed elements leave doubled spaces; Markdown's "  \n" line breaks are kept
+  const trimmed = (inline) => ({
+    text: inline.text.replace(/ {2,}/g, " ").trim(),
+    markdown: inline.markdown.replace(/ {2,}(?=\S)/g, " ").trim(),
+    html: inline.html.replace(/ {2,}/g, " ").trim(),
+  });
+
+  const isBlock = (node) =>
+    node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.tagName);
+
+  // Lists keep their nesting as indentation in text and Markdown
+  const convertList = (list, depth) => {
+    const ordered = list.tagName === "OL";
+    const lines = { text: [], markdown: [] };
+    let html = "";
+    [...list.children]
+      .filter((item) => item.tagName === "LI")
+      .forEach((item, index) => {
+        const nested = [...item.childNodes].filter(
+          (node) => node.tagName === "UL" || node.tagName === "OL",
+        );
+        const inline = trimmed(
+          convertInline(
+            [...item.childNodes].filter((node) => !nested.includes(node)),
+          ),
+        );
+        const indent = "  ".repeat(depth);
+        const marker = ordered ? `${index + 1}.` : "-";
+        lines.text.push(`${indent}${marker} ${inline.text}`);
+        lines.markdown.push(`${indent}${marker} ${inline.markdown}`);
+        const children = nested.map((child) => convertList(child, depth + 1));
+        children.forEach((child) => {
+          lines.text.push(child.text);
+          lines.markdown.push(child.markdown);
+        });
+        html += `<li>${inline.html}${children.map((child) => child.html).join("")}</li>`;
+      });
+    const tag = ordered ? "ol" : "ul";
+    return {
+      text: lines.text.join("\n"),
+      markdown: lines.markdown.join("\n"),
+      html: `<${tag}>${html}</${tag}>`,
+    };
+  };
+
+  const convertTable = (table) => {
+    const rows = [...table.querySelectorAll("tr")]
+      .filter((row) => row.closest("table") === table)
+      .map((row) =>
+        [...row.children]
+          .filter((cell) => cell.tagName === "TD" || cell.tagName === "TH")
+          .map((cell) => trimmed(convertInline([...cell.childNodes]))),
+      )
+      .filter((cells) => cells.length > 0);
+    if (rows.length === 0) return null;
+
+    const columns = Math.max(...rows.map((cells) => cells.length));
+    const markdownRow = (cells) =>
+      `| ${Array.from(
+        { length: columns },
+        (_, index) => cells[index]?.markdown.replace(/\|/g, "\\|") || "",
+      ).join(" | ")} |`;
+    return {
+      text: rows
+        .map((cells) => cells.map((cell) => cell.text).join("\t"))
+        .join("\n"),
+      markdown: [
+        markdownRow(rows[0]),
+        `|${" --- |".repeat(columns)}`,
+        ...rows.slice(1).map(markdownRow),
+      ].join("\n"),
+      html: `<table>${rows
+        .map(
+          (cells, index) =>
+            `<tr>${cells
+              .map((cell) =>
+                index === 0 ? `<th>${cell.html}</th>` : `<td>${cell.html}</td>`,
+              )
+              .join("")}</tr>`,
+        )
+        .join("")}</table>`,
+    };
+  };
+
+  // Containers are walked for blocks; loose inline content between blocks becomes a paragraph
+  const convertBlocks = (container, blocks) => {
+    let run = [];
+    const flush = () => {
+      const inline = trimmed(convertInline(run));
+      if (inline.text || inline.html.includes("<img")) {
+        blocks.push({ ...inline, html: `<p>${inline.html}</p>` });
+      }
+      run = [];
+    };
+
+    container.childNodes.forEach((node) => {
+      if (!isBlock(node)) {
+        run.push(node);
+        return;
+      }
+      flush();
+
+      const tag = node.tagName;
+      if (/^H[1-6]$/.test(tag)) {
+        const inline = trimmed(convertInline([...node.childNodes]));
+        const level = Number(tag[1]);
+        if (inline.text) {
+          blocks.push({
+            text: inline.text,
+            markdown: `${"#".repeat(level)} ${inline.markdown}`,
+            html: `<h${level}>${inline.html}</h${level}>`,
+          });
+        }
+      } else if (tag === "PRE") {
+        const code = node.textContent.replace(/\n$/, "");
+        const language =
+          `${node.querySelector("code")?.getAttribute("class") || ""} ${node.getAttribute("class") || ""}`.match(
+            /(?:lang|language)-([\w+#-]+)/,
+          )?.[1] || "";
+        blocks.push({
+          text: code,
+          markdown: `\`\`\`${language}\n${code}\n\`\`\``,
+          html: `<pre><code${language ? ` class="language-${escapeHtml(language)}"` : ""}>${escapeHtml(code)}</code></pre>`,
+        });
+      } else if (tag === "UL" || tag === "OL") {
+        const list = convertList(node, 0);
+        if (list.text.trim()) blocks.push(list);
+      } else if (tag === "TABLE") {
+        const table = convertTable(node);
+        if (table) blocks.push(table);
+      } else if (tag === "BLOCKQUOTE") {
+        const quoted = [];
+        convertBlocks(node, quoted);
+        if (quoted.length > 0) {
+          blocks.push({
+            text: quoted.map((block) => block.text).join("\n\n"),
+            markdown: quoted
+              .map((block) => block.markdown.replace(/^/gm, "> "))
+              .join("\n>\n"),
+            html: `<blockquote>${quoted.map((block) => block.html).join("")}</blockquote>`,
+          });
+        }
+      } else if (tag === "FIGURE") {
+        const figure = [];
+        convertBlocks(node, figure);
+        if (figure.length > 0) {
+          blocks.push({
+            text: figure.map((block) => block.text).join("\n"),
+            markdown: figure.map((block) => block.markdown).join("\n\n"),
+            html: `<figure>${figure.map((block) => block.html).join("")}</figure>`,
+          });
+        }
+      } else if (tag === "FIGCAPTION") {
+        const inline = trimmed(convertInline([...node.childNodes]));
+        if (inline.text) {
+          blocks.push({
+            text: inline.text,
+            markdown: `_${inline.markdown}_`,
+            html: `<figcaption>${inline.html}</figcaption>`,
+          });
+        }
+      } else if (tag === "HR") {
+        blocks.push({ text: "", markdown: "---", html: "<hr>" });
+      } else if (tag === "P") {
+        run = [...node.childNodes];
+        flush();
+      } else {
+        convertBlocks(node, blocks);
+      }
+    });
+    flush();
+  };
+
+  const blocks = [];
+  convertBlocks(content, blocks);
+  if (blocks.length === 0) return null;
+
+  let length = 0;
+  const kept = blocks.filter((block) => {
+    length += block.html.length;
+    return length <= maxLength;
+  });
+  const text = blocks.map((block) => block.text).join(" ");
+
+  return {
+    title: selectionOnly
+      ? null
+      : content.querySelector("h1")?.textContent.trim() ||
+        document.title ||
+        null,
+    blocks: kept,
+    wordCount: text.split(/\s+/).filter(Boolean).length,
+    truncated: kept.length < blocks.length,
+  };
+}
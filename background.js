@@ -1,6 +1,139 @@
+importScripts(
+  "template.js",
+  "destinations.js",
+  "encodings.js",
+  "patterns.js",
+  "article.js",
+  "extractors.js",
+);
+
 // Webhook queue management
-const webhookQueues = new Map(); // Map of webhookUrl -> { queue: [], lastSent: timestamp, timer: timeoutId }
-const queueNotifications = new Map(); // Map of notificationId -> { webhookUrl, intervalId }
+const webhookQueues = new Map(); // Map of queue key (see queueKey) -> { queue: [], inFlight: [], tokens, refilledAt: timestamp, timer: timeoutId, rateLimit, paused, batch }
+const queueNotifications = new Map(); // Map of queue key -> { notificationId, intervalId }
+const retryTimers = new Map(); // Map of queue item id -> timeoutId
+const requestControllers = new Map(); // Map of queue item id -> AbortController of its running request
+
+// HTTP methods a webhook can be configured to use
+const WEBHOOK_METHODS = ["POST", "PUT", "PATCH", "GET"];
+
+// Default size cap for attached image/video downloads
+const DEFAULT_MEDIA_MAX_BYTES = 5 * 1024 * 1024;
+
+// Default size cap, in characters of HTML, for full-article captures
+const DEFAULT_ARTICLE_MAX_LENGTH = 100000;
+
+// Reading speed used for an article's estimated reading time
+const READING_WORDS_PER_MINUTE = 230;
+
+// Size cap, in characters of HTML, for the HTML and Markdown of a selection capture
+const MAX_SELECTION_LENGTH = 100000;
+
+// Time limit and size cap for fetching a link's target page to unfurl it
+const UNFURL_TIMEOUT_MS = 10 * 1000;
+const UNFURL_MAX_BYTES = 512 * 1024;
+
+// Named character references decoded in unfurled page titles and descriptions
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+};
+
+// Screenshot encoding quality for JPEG, and the tallest stitched full-page screenshot in pixels
+const SCREENSHOT_JPEG_QUALITY = 0.9;
+const MAX_SCREENSHOT_HEIGHT = 16384;
+
+// Wait after scrolling before each screenshot frame; Chrome allows two tab captures a second
+const SCREENSHOT_FRAME_DELAY_MS = 600;
+
+// Storage key holding the pending and in-flight deliveries of every queue
+const QUEUE_STORAGE_KEY = "deliveryQueues";
+
+// Storage key prefix for the base64 media and screenshots of queued payloads, which are
+// saved once under their own keys so queue changes do not rewrite them
+const QUEUE_BLOB_PREFIX = "deliveryBlob_";
+
+// Alarm name prefixes used to wake the service worker for queued work
+const QUEUE_ALARM_PREFIX = "queue_";
+const RETRY_ALARM_PREFIX = "retry_";
+const BATCH_ALARM_PREFIX = "batch_";
+
+// Chrome does not fire alarms sooner than 30 seconds after they are created
+const MIN_ALARM_DELAY_MS = 30 * 1000;
+
+// Requests allowed to run at once across every webhook, unless changed in Settings
+const DEFAULT_MAX_IN_FLIGHT = 4;
+
+// Retry policy for webhooks without their own retry settings (delays in seconds, jitter in percent)
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelay: 1,
+  factor: 2,
+  maxDelay: 300,
+  jitter: 20,
+};
+
+// Longest Retry-After the queue will honour before giving up on a delivery
+const MAX_RETRY_AFTER_MS = 60 * 60 * 1000;
+
+// Request timeout for webhooks without their own setting, in seconds
+const DEFAULT_REQUEST_TIMEOUT = 30;
+
+// Requests still running after this long get a "Sending" notification with a Cancel button
+const SLOW_REQUEST_NOTICE_MS = 3 * 1000;
+const SENDING_NOTIFICATION_PREFIX = "sending_";
+
+// Success notifications with a link from the response are `open_<url>`, so the link survives a worker restart
+const OPEN_NOTIFICATION_PREFIX = "open_";
+
+// Storage key and defaults for the delivery history shown in the popup
+const HISTORY_STORAGE_KEY = "deliveryHistory";
+const DEFAULT_HISTORY_LIMIT = 200;
+const HISTORY_BODY_LIMIT = 4000;
+
+// History writes are chained so concurrent deliveries do not overwrite each other
+let historyWrites = Promise.resolve();
+
+// Storage key for deliveries that failed permanently and can be replayed from the popup
+const DEAD_LETTER_STORAGE_KEY = "deadLetters";
+let deadLetterWrites = Promise.resolve();
+
+// Connectivity checks used to tell "offline" apart from "webhook is down".
+// The check URL can be changed in settings for networks that block this one.
+const DEFAULT_CONNECTIVITY_CHECK_URL = "https://www.gstatic.com/generate_204";
+const CONNECTIVITY_CHECK_TIMEOUT_MS = 5 * 1000;
+const CONNECTIVITY_CHECK_INTERVAL_MS = 15 * 1000;
+const CONNECTIVITY_ALARM = "connectivity";
+// Failed checks in a row, while Chrome reports being online, before the check URL is
+// taken to be blocked and only `navigator.onLine` decides whether the network is offline
+const MAX_FAILED_CONNECTIVITY_CHECKS = 8;
+
+// Storage key read by the popup's offline indicator
+const NETWORK_STATUS_STORAGE_KEY = "networkStatus";
+
+// Storage key for recent captures per webhook, used by the duplicate window
+const RECENT_CAPTURES_STORAGE_KEY = "recentCaptures";
+
+// Duplicate checks are chained so a double click cannot slip past its own first click
+let duplicateChecks = Promise.resolve();
+
+// Storage key for captures sent to a webhook group whose members have not all finished
+const GROUP_RUN_STORAGE_KEY = "groupRuns";
+const GROUP_RUN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+let groupRunWrites = Promise.resolve();
+
+let queuesRestored = null;
+const storedQueueBlobs = new Set();
+let maxInFlight = DEFAULT_MAX_IN_FLIGHT;
+let networkOffline = false;
+let networkStatusSince = 0;
+let connectivityCheckUrl = DEFAULT_CONNECTIVITY_CHECK_URL;
+let failedConnectivityChecks = 0;
+let connectivityCheckBlocked = false;
+let connectivityTimer = null;
 
 chrome.runtime.onInstalled.addListener(() => {
   chrome.contextMenus.create(
@@ -18,6 +151,7 @@ chrome.runtime.onInstalled.addListener(() => {
       updateWebhookMenus();
     },
   );
+  migrateWebhooks();
   initializeQueues();
 });
 
@@ -26,769 +160,4638 @@ chrome.runtime.onStartup.addListener(() => {
   initializeQueues();
 });
 
-/**
- * Initializes webhook queues from local storage.
- * It retrieves stored webhooks and sets up their initial queue data
- * including an empty queue, last sent timestamp, timer, and rate limit.
- */
-function initializeQueues() {
-  chrome.storage.local.get("webhooks", (data) => {
-    if (data.webhooks) {
-      data.webhooks.forEach((webhook) => {
-        if (!webhookQueues.has(webhook.url)) {
-          webhookQueues.set(webhook.url, {
-            queue: [],
-            lastSent: 0,
-            timer: null,
-            rateLimit: webhook.rateLimit || 0,
-          });
-        } else {
-          // Update rate limit if it changed
-          const queueData = webhookQueues.get(webhook.url);
-          queueData.rateLimit = webhook.rateLimit || 0;
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (
+    alarm.name.startsWith(QUEUE_ALARM_PREFIX) ||
+    alarm.name.startsWith(RETRY_ALARM_PREFIX) ||
+    alarm.name.startsWith(BATCH_ALARM_PREFIX)
+  ) {
+    restoreQueues().then(processAllQueues);
+  } else if (alarm.name === CONNECTIVITY_ALARM) {
+    restoreQueues().then(recheckConnectivity);
+  }
+});
+
+// Cancel buttons on "Sending" and "Queued" notifications
+chrome.notifications.onButtonClicked.addListener(
+  (notificationId, buttonIndex) => {
+    if (notificationId.startsWith(OPEN_NOTIFICATION_PREFIX)) {
+      openNotificationLink(notificationId);
+    } else if (notificationId.startsWith(SENDING_NOTIFICATION_PREFIX)) {
+      cancelDelivery(notificationId.slice(SENDING_NOTIFICATION_PREFIX.length));
+    } else if (notificationId.startsWith("queue_")) {
+      // Queue notification IDs are `queue_<queue key>_<timestamp>`
+      const key = notificationId.slice(6).replace(/_\d+$/, "");
+      restoreQueues().then(() => {
+        const queueData = webhookQueues.get(key);
+        // While batching the buttons are "Flush now" and "Remove latest capture"
+        if (queueData?.batch) {
+          if (buttonIndex === 0) {
+            flushBatch(key);
+          } else {
+            removeLatestBatchItem(key);
+          }
+          return;
         }
+        const latest = queueData?.queue.at(-1);
+        if (latest) cancelDelivery(latest.id);
       });
     }
+  },
+);
+
+// Clicking a success notification opens the link the webhook returned
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(OPEN_NOTIFICATION_PREFIX)) {
+    openNotificationLink(notificationId);
+  }
+});
+
+// Flush parked deliveries as soon as the browser reports the network is back.
+// A new connection may reach the check URL again, so it gets another chance.
+self.addEventListener("online", () => {
+  restoreQueues().then(() => {
+    failedConnectivityChecks = 0;
+    connectivityCheckBlocked = false;
+    saveNetworkStatus();
+    recheckConnectivity();
+  });
+});
+
+/**
+ * Gives webhooks saved by older versions an `id`, so each one gets its own queue
+ * even when two share a URL, converts their `rateLimit` from seconds between
+ * requests to token bucket settings, and converts group members stored by URL to
+ * webhook ids (a URL shared by several webhooks goes to the first of them).
+ */
+function migrateWebhooks() {
+  chrome.storage.local.get({ webhooks: [], webhookGroups: [] }, (data) => {
+    const webhooks = data.webhooks.map((webhook) => ({
+      ...webhook,
+      id: webhook.id || crypto.randomUUID(),
+      rateLimit: resolveRateLimit(webhook.rateLimit),
+    }));
+    const ids = webhooks.map((webhook) => webhook.id);
+    const outdated =
+      data.webhooks.some(
+        (webhook) => !webhook.id || typeof webhook.rateLimit === "number",
+      ) ||
+      data.webhookGroups.some((group) =>
+        group.webhooks.some((member) => !ids.includes(member)),
+      );
+    if (!outdated) return;
+
+    const webhookGroups = data.webhookGroups.map((group) => ({
+      ...group,
+      webhooks: group.webhooks
+        .map((member) =>
+          ids.includes(member)
+            ? member
+            : webhooks.find((webhook) => webhook.url === member)?.id,
+        )
+        .filter(
+          (member, index, members) =>
+            member && members.indexOf(member) === index,
+        ),
+    }));
+    chrome.storage.local.set({ webhooks, webhookGroups });
   });
 }
 
 /**
- * Adds a payload to a specific webhook's queue.
- * If the webhook's queue doesn't exist, it initializes it.
- * It also checks if the item will be queued due to rate limiting and
- * displays a notification if so, then attempts to process the queue.
+ * Returns the key of the queue a webhook's deliveries go through. Webhooks from
+ * before queues were kept per webhook have no `id` and fall back to their URL.
  *
- * @param {string} webhookUrl - The URL of the webhook.
- * @param {object} payload - The data payload to send to the webhook.
- * @param {string} webhookName - The name of the webhook for display purposes.
- * @param {number} [rateLimit=0] - The rate limit in seconds for this webhook (0 for no limit).
+ * @param {object} webhook - The stored webhook configuration.
+ * @returns {string} The queue key.
+ */
+function queueKey(webhook) {
+  return webhook.id || webhook.url;
+}
+
+/**
+ * Returns the queue data for a queue key, creating an empty queue if needed.
+ *
+ * @param {string} key - The queue key of the webhook.
+ * @returns {object} The queue data.
  */
-function addToQueue(webhookUrl, payload, webhookName, rateLimit = 0) {
-  if (!webhookQueues.has(webhookUrl)) {
-    webhookQueues.set(webhookUrl, {
+function getQueueData(key) {
+  if (!webhookQueues.has(key)) {
+    webhookQueues.set(key, {
       queue: [],
-      lastSent: 0,
+      inFlight: [],
+      tokens: null,
+      refilledAt: 0,
       timer: null,
-      rateLimit,
+      rateLimit: null,
+      paused: false,
     });
   }
+  return webhookQueues.get(key);
+}
 
-  const queueData = webhookQueues.get(webhookUrl);
-  queueData.rateLimit = rateLimit; // Update rate limit
-  queueData.queue.push({ payload, webhookName, timestamp: Date.now() });
+/**
+ * Reads a webhook's rate limit as a token bucket: it holds up to `capacity` tokens,
+ * gains `refill` tokens every `interval` seconds, and each request spends one.
+ * Older webhooks stored the limit as seconds between requests, which is a bucket of one.
+ *
+ * @param {object|number|null|undefined} rateLimit - The stored rate limit.
+ * @returns {{capacity: number, refill: number, interval: number}|null} The bucket, or null for no limit.
+ */
+function resolveRateLimit(rateLimit) {
+  if (typeof rateLimit === "number") {
+    return rateLimit > 0
+      ? { capacity: 1, refill: 1, interval: rateLimit }
+      : null;
+  }
+  return rateLimit?.refill > 0 && rateLimit.interval > 0 ? rateLimit : null;
+}
 
-  // Check if this item will be queued (not sent immediately)
+/**
+ * Adds the tokens a queue has earned since it was last refilled. A queue that has
+ * not sent anything yet starts with a full bucket.
+ *
+ * @param {object} queueData - The queue data.
+ * @returns {number} The tokens now available.
+ */
+function refillTokens(queueData) {
+  const { capacity, refill, interval } = queueData.rateLimit;
   const now = Date.now();
-  const timeSinceLastSent = now - queueData.lastSent;
-  const rateLimitMs = queueData.rateLimit * 1000;
-  const willBeQueued =
-    queueData.rateLimit > 0 &&
-    (queueData.queue.length > 1 || timeSinceLastSent < rateLimitMs);
-
-  if (willBeQueued) {
-    showQueueNotification(webhookUrl, webhookName);
-  }
+  const earned =
+    (Math.max(0, now - queueData.refilledAt) * refill) / (interval * 1000);
+  queueData.tokens = Math.min(
+    capacity,
+    (queueData.tokens ?? capacity) + earned,
+  );
+  queueData.refilledAt = now;
+  return queueData.tokens;
+}
 
-  processQueue(webhookUrl);
+/**
+ * Calculates how long until a queue's rate limit allows the given number of requests.
+ * Used both to schedule the next send (one token) and to estimate when the
+ * last queued item goes out (one token per item).
+ *
+ * @param {object} queueData - The queue data.
+ * @param {number} count - The number of requests.
+ * @returns {number} The wait in milliseconds (0 when there is no rate limit).
+ */
+function msUntilTokens(queueData, count) {
+  if (!queueData.rateLimit) return 0;
+  const { refill, interval } = queueData.rateLimit;
+  const missing = count - refillTokens(queueData);
+  return missing > 0 ? Math.ceil((missing * interval * 1000) / refill) : 0;
 }
 
 /**
- * Processes the queue for a given webhook URL.
- * It sends the next item in the queue, respecting the rate limit.
- * If a rate limit is active and the last send was too recent, it schedules
- * a retry using a timer.
+ * Checks whether another request may start under the Settings tab's limit on
+ * requests running at once across every webhook.
  *
- * @param {string} webhookUrl - The URL of the webhook whose queue needs processing.
+ * @returns {boolean} True when a request slot is free.
  */
-function processQueue(webhookUrl) {
-  const queueData = webhookQueues.get(webhookUrl);
-  if (!queueData || queueData.queue.length === 0) return;
+function hasFreeRequestSlot() {
+  return requestControllers.size < maxInFlight;
+}
 
-  const now = Date.now();
-  const timeSinceLastSent = now - queueData.lastSent;
-  const rateLimitMs = queueData.rateLimit * 1000;
+/**
+ * Hands freed request slots to due retries and queued items. Called whenever a
+ * request finishes, since work held back by the global limit has no timer of its own.
+ * Queues are served oldest capture first, so a busy webhook cannot starve the others.
+ */
+function fillRequestSlots() {
+  // Retries only go out when due, and running attempts are skipped
+  webhookQueues.forEach((queueData, key) => {
+    queueData.inFlight.forEach((item) => {
+      retryDelivery(key, item.id);
+    });
+  });
+  [...webhookQueues]
+    .filter(([, queueData]) => queueData.queue.length > 0)
+    .sort(([, a], [, b]) => a.queue[0].timestamp - b.queue[0].timestamp)
+    .forEach(([key]) => {
+      processQueue(key);
+    });
+}
 
-  if (queueData.rateLimit > 0 && timeSinceLastSent < rateLimitMs) {
-    // Need to wait before sending
-    const waitTime = rateLimitMs - timeSinceLastSent;
+/**
+ * Restores queued and in-flight deliveries saved by a previous service worker,
+ * along with whether the network was last seen offline and the request limit.
+ * MV3 stops the worker when it is idle, so queue state lives in storage and is
+ * read back once per worker lifetime; later calls return the same promise.
+ * Items that were mid-request when the worker stopped are sent again, so every
+ * capture is delivered at least once. Media and screenshots saved under their
+ * own keys are put back into their payloads.
+ *
+ * @returns {Promise<void>} Resolves once the saved queues are loaded.
+ */
+function restoreQueues() {
+  if (!queuesRestored) {
+    queuesRestored = new Promise((resolve) => {
+      chrome.storage.local.get(
+        [QUEUE_STORAGE_KEY, NETWORK_STATUS_STORAGE_KEY, "settings"],
+        (data) => {
+          const networkStatus = data?.[NETWORK_STATUS_STORAGE_KEY];
+          networkOffline = Boolean(networkStatus?.offline);
+          networkStatusSince = networkStatus?.since || 0;
+          failedConnectivityChecks = networkStatus?.failedChecks || 0;
+          connectivityCheckBlocked = Boolean(networkStatus?.checkBlocked);
+          connectivityCheckUrl =
+            data?.settings?.connectivityCheckUrl ||
+            DEFAULT_CONNECTIVITY_CHECK_URL;
+          maxInFlight = data?.settings?.maxInFlight || DEFAULT_MAX_IN_FLIGHT;
+          const saved = data?.[QUEUE_STORAGE_KEY] || {};
+          restoreQueueBlobs(saved).then(() => {
+            restoreSavedQueues(saved);
+            resolve();
+          });
+        },
+      );
+    });
+  }
+  return queuesRestored;
+}
 
-    if (queueData.timer) {
-      clearTimeout(queueData.timer);
+/**
+ * Adds the saved queues to the ones in memory.
+ *
+ * @param {object} saved - The saved queues, keyed by queue key, with their binary parts restored.
+ */
+function restoreSavedQueues(saved) {
+  Object.entries(saved).forEach(([key, savedQueue]) => {
+    const queueData = getQueueData(key);
+    queueData.rateLimit ??= resolveRateLimit(savedQueue.rateLimit);
+    queueData.paused ||= Boolean(savedQueue.paused);
+    // Queues saved before token buckets only have `lastSent`, so they start full
+    if (queueData.tokens === null && savedQueue.tokens != null) {
+      queueData.tokens = savedQueue.tokens;
+      queueData.refilledAt = savedQueue.refilledAt || 0;
+    }
+    queueData.queue.unshift(...(savedQueue.queue || []));
+    if (savedQueue.batch && !queueData.batch) {
+      queueData.batch = savedQueue.batch;
     }
+    (savedQueue.inFlight || []).forEach((item) => {
+      // A missing retry time means the request was interrupted mid-flight
+      queueData.inFlight.push({
+        ...item,
+        nextAttemptAt: item.nextAttemptAt ?? Date.now(),
+      });
+    });
+  });
+}
 
-    queueData.timer = setTimeout(() => {
-      processQueue(webhookUrl);
-    }, waitTime);
+/**
+ * Lists every payload in a set of queues: queued, in-flight and batched captures.
+ *
+ * @param {object} queues - Queues keyed by queue key.
+ * @returns {Array<object>} The payloads.
+ */
+function queuedPayloads(queues) {
+  return Object.values(queues).flatMap((queueData) => [
+    ...(queueData.queue || []).map((item) => item.payload),
+    ...(queueData.inFlight || []).map((item) => item.payload),
+    ...(queueData.batch?.items || []),
+  ]);
+}
 
-    return;
+/**
+ * Copies a payload with the base64 `data` of its media and screenshot (and those
+ * of a batch's captures) replaced by the key they are saved under.
+ *
+ * @param {object} payload - The payload.
+ * @param {Object<string, string>} blobs - Collects the detached data by key.
+ * @returns {object} The payload to save with the queue.
+ */
+function detachPayloadBlobs(payload, blobs) {
+  if (payload.type === "batch") {
+    return {
+      ...payload,
+      items: payload.items.map((capture) => detachPayloadBlobs(capture, blobs)),
+    };
   }
+  const detached = { ...payload };
+  ["media", "screenshot"].forEach((field) => {
+    const { data, ...part } = payload[field] || {};
+    if (typeof data !== "string" || !part.sha256) return;
+    // Group members share a capture id but may get different screenshots
+    const dataKey = `${QUEUE_BLOB_PREFIX}${payload.id}_${part.sha256}`;
+    blobs[dataKey] = data;
+    detached[field] = { ...part, dataKey };
+  });
+  return detached;
+}
 
-  // Send the next item in queue
-  const item = queueData.queue.shift();
-  queueData.lastSent = now;
+/**
+ * Puts the saved base64 data back into the media and screenshots of saved payloads.
+ * Data that can no longer be found is reported in the part's `error`, as a failed
+ * download or screenshot would be.
+ *
+ * @param {object} saved - The saved queues; their payloads are updated in place.
+ * @returns {Promise<void>} Resolves once the data is restored.
+ */
+function restoreQueueBlobs(saved) {
+  const parts = queuedPayloads(saved)
+    .flatMap((payload) =>
+      payload.type === "batch" ? payload.items : [payload],
+    )
+    .flatMap((payload) => [payload.media, payload.screenshot])
+    .filter((part) => part?.dataKey);
+  if (parts.length === 0) return Promise.resolve();
 
-  // Clear any existing queue notification for this webhook
-  clearQueueNotification(webhookUrl);
+  return new Promise((resolve) => {
+    chrome.storage.local.get(
+      parts.map((part) => part.dataKey),
+      (blobs) => {
+        parts.forEach((part) => {
+          storedQueueBlobs.add(part.dataKey);
+          if (typeof blobs?.[part.dataKey] === "string") {
+            part.data = blobs[part.dataKey];
+          } else {
+            part.error = "The file was lost before it was sent";
+          }
+          delete part.dataKey;
+        });
+        resolve();
+      },
+    );
+  });
+}
 
-  postToWebhookDirect(webhookUrl, item.payload, 3, item.webhookName);
+/**
+ * Saves every queue's pending and in-flight items to local storage.
+ * Called after each queue change so nothing is lost if the worker is stopped.
+ * Media and screenshots are written once under their own keys (see
+ * `detachPayloadBlobs`) and removed once no queued item uses them.
+ */
+function persistQueues() {
+  const saved = {};
+  const blobs = {};
+  const detachItem = (item) => ({
+    ...item,
+    payload: detachPayloadBlobs(item.payload, blobs),
+  });
+  webhookQueues.forEach((queueData, key) => {
+    if (
+      queueData.queue.length > 0 ||
+      queueData.inFlight.length > 0 ||
+      queueData.batch ||
+      queueData.paused
+    ) {
+      saved[key] = {
+        queue: queueData.queue.map(detachItem),
+        inFlight: queueData.inFlight.map(detachItem),
+        tokens: queueData.tokens,
+        refilledAt: queueData.refilledAt,
+        rateLimit: queueData.rateLimit,
+        paused: queueData.paused,
+        batch: queueData.batch
+          ? {
+              ...queueData.batch,
+              items: queueData.batch.items.map((payload) =>
+                detachPayloadBlobs(payload, blobs),
+              ),
+            }
+          : null,
+      };
+    }
+  });
 
-  // Schedule next item if queue has more items
-  if (queueData.queue.length > 0) {
-    if (queueData.rateLimit > 0) {
-      queueData.timer = setTimeout(() => {
-        processQueue(webhookUrl);
-      }, rateLimitMs);
-    } else {
-      // No rate limit, process immediately
-      processQueue(webhookUrl);
+  const newBlobs = Object.fromEntries(
+    Object.entries(blobs).filter(([blobKey]) => !storedQueueBlobs.has(blobKey)),
+  );
+  const unusedBlobs = [...storedQueueBlobs].filter(
+    (blobKey) => !(blobKey in blobs),
+  );
+  Object.keys(newBlobs).forEach((blobKey) => {
+    storedQueueBlobs.add(blobKey);
+  });
+  unusedBlobs.forEach((blobKey) => {
+    storedQueueBlobs.delete(blobKey);
+  });
+
+  chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: saved, ...newBlobs }, () => {
+    if (chrome.runtime.lastError) {
+      console.error(
+        "Failed to persist webhook queues:",
+        chrome.runtime.lastError.message,
+      );
     }
+  });
+  if (unusedBlobs.length > 0) {
+    chrome.storage.local.remove(unusedBlobs);
   }
 }
 
 /**
- * Sanitizes a string to be used as a Chrome context menu ID.
- * Replaces non-alphanumeric characters with underscores and truncates to 50 characters.
+ * Schedules a callback with a timer, backed by an alarm that wakes the
+ * service worker if it is stopped before the timer fires.
  *
- * @param {string} name - The original string to sanitize.
- * @returns {string} The sanitized string suitable for a menu ID.
+ * @param {string} alarmName - The name of the backup alarm.
+ * @param {number} delayMs - The delay before the callback should run.
+ * @param {Function} callback - The callback to run when the timer fires.
+ * @returns {number} The timer ID.
  */
-function sanitizeMenuId(name) {
-  return name.replace(/[^a-zA-Z0-9_-]/g, "_").substring(0, 50);
+function scheduleWake(alarmName, delayMs, callback) {
+  chrome.alarms.create(alarmName, {
+    when: Date.now() + Math.max(delayMs, MIN_ALARM_DELAY_MS),
+  });
+  return setTimeout(callback, delayMs);
 }
 
-let updateWebhookMenusTimeout;
 /**
- * Updates the Chrome context menus with the currently configured webhooks.
- * This function debounces multiple calls to avoid excessive menu rebuilds.
- * It first removes all existing custom menu items, then recreates the parent
- * "Send to Webhook" menu, and finally adds child menu items for each stored webhook.
+ * Initializes webhook queues from local storage.
+ * It restores any deliveries saved by a previous service worker, updates each
+ * queue's rate limit from the stored webhooks, and resumes processing (or
+ * checks whether the network is back, if it was offline).
  */
-function updateWebhookMenus() {
-  // Debounce to avoid excessive rebuilds
-  clearTimeout(updateWebhookMenusTimeout);
-  updateWebhookMenusTimeout = setTimeout(() => {
-    // First remove all existing child items (if any)
-    chrome.contextMenus.removeAll(() => {
-      // Recreate parent menu to avoid reference errors
-      chrome.contextMenus.create(
-        {
-          id: "sendToWebhook",
-          title: "Send to Webhook",
-          contexts: ["page", "link", "image", "selection", "video"],
-        },
-        () => {
-          // Check for errors
-          if (chrome.runtime.lastError) {
-            console.error(
-              `Error recreating parent menu: ${chrome.runtime.lastError.message}`,
-            );
-            return;
-          }
+function initializeQueues() {
+  restoreQueues().then(() => {
+    chrome.storage.local.get("webhooks", (data) => {
+      if (data.webhooks) {
+        data.webhooks.forEach((webhook) => {
+          // Update rate limit if it changed
+          const queueData = getQueueData(queueKey(webhook));
+          queueData.rateLimit = resolveRateLimit(webhook.rateLimit);
 
-          // Now add child items
-          chrome.storage.local.get("webhooks", (data) => {
-            if (data.webhooks && data.webhooks.length > 0) {
-              data.webhooks.forEach((webhook, index) => {
-                const sanitizedId = sanitizeMenuId(webhook.name);
+          // A pending batch uses the latest settings, or is sent now if batching was turned off
+          if (queueData.batch && isBatching(webhook)) {
+            queueData.batch.webhook = webhook;
+          } else if (queueData.batch) {
+            flushBatch(queueKey(webhook));
+          }
+        });
+      }
+      processAllQueues();
+      // Alarms may not survive a browser restart, so check again right away
+      recheckConnectivity();
+    });
+  });
+}
 
-                // Create menu item for page, link, and image contexts
-                chrome.contextMenus.create({
-                  id: `sendTo_${sanitizedId}_${index}_normal`,
-                  parentId: "sendToWebhook",
-                  title: webhook.name,
-                  contexts: ["page", "link", "image", "video"],
-                });
+/**
+ * Resumes every queue: sends pending items the rate limit allows and
+ * schedules (or sends, when due) any in-flight retries and batches.
+ */
+function processAllQueues() {
+  webhookQueues.forEach((queueData, key) => {
+    if (queueData.batch) {
+      scheduleBatchFlush(key);
+    }
+    processQueue(key);
+    queueData.inFlight.forEach((item) => {
+      if (item.nextAttemptAt === null) return;
 
-                // Create separate menu item for selection context
-                chrome.contextMenus.create({
-                  id: `sendTo_${sanitizedId}_${index}_selection`,
-                  parentId: "sendToWebhook",
-                  title: webhook.name,
-                  contexts: ["selection"],
-                });
-              });
-            }
-          });
-        },
-      );
+      const delay = item.nextAttemptAt - Date.now();
+      if (delay <= 0) {
+        retryDelivery(key, item.id);
+      } else {
+        clearTimeout(retryTimers.get(item.id));
+        retryTimers.set(
+          item.id,
+          scheduleWake(`${RETRY_ALARM_PREFIX}${item.id}`, delay, () =>
+            retryDelivery(key, item.id),
+          ),
+        );
+      }
     });
-  }, 100);
+  });
 }
 
-chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId.startsWith("sendTo_")) {
-    chrome.storage.local.get(["webhooks", "settings"], (data) => {
-      // Extract index from menu ID (sendTo_sanitizedName_index_type)
-      const parts = info.menuItemId.split("_");
-      const indexPart = parts[parts.length - 2]; // Second to last part is the index
-      const index = parseInt(indexPart, 10);
-      const webhook = data.webhooks[index];
-      if (webhook) {
-        const hasCustomFields = Array.isArray(webhook.customFields);
+/**
+ * Adds a payload to a specific webhook's queue.
+ * If the webhook's queue doesn't exist, it initializes it.
+ * It also checks if the item will be queued due to rate limiting and
+ * displays a notification if so, then attempts to process the queue.
+ *
+ * @param {object} webhook - The stored webhook configuration (url, name, rateLimit, request settings).
+ * @param {object} payload - The data payload to send to the webhook.
+ * @param {string|null} [groupRunId=null] - The group run to report the outcome to instead of notifying.
+ */
+function addToQueue(webhook, payload, groupRunId = null) {
+  restoreQueues().then(() => {
+    const key = queueKey(webhook);
+    const queueData = getQueueData(key);
+    queueData.rateLimit = resolveRateLimit(webhook.rateLimit); // Update rate limit
 
-        if (hasCustomFields) {
-          // Store data needed for sending the webhook later
-          const pendingWebhook = {
-            webhook,
-            info,
-            tabId: tab.id,
-          };
+    // Batching webhooks collect captures first; a flushed batch (or a replayed one) is queued as is
+    if (isBatching(webhook) && payload.type !== "batch") {
+      addToBatch(webhook, payload, groupRunId);
+      return;
+    }
+    queueData.queue.push({
+      id: crypto.randomUUID(),
+      payload,
+      webhook,
+      timestamp: Date.now(),
+      attempts: 0,
+      nextAttemptAt: null,
+      ...(groupRunId && { groupRunId }),
+    });
+    persistQueues();
 
-          // Get screen resolution and window size from the tab
-          chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            func: () => ({
-              screenWidth: window.screen.width,
-              screenHeight: window.screen.height,
-              windowWidth: window.innerWidth,
-              windowHeight: window.innerHeight,
-            }),
-          }).then((results) => {
-            const screenData = results?.[0]?.result || {
-              screenWidth: null,
-              screenHeight: null,
-              windowWidth: null,
-              windowHeight: null,
-            };
+    // Check if this item will be queued (not sent immediately)
+    const willBeQueued =
+      queueData.paused ||
+      msUntilTokens(queueData, queueData.queue.length) > 0 ||
+      !hasFreeRequestSlot();
 
-            chrome.runtime.getPlatformInfo((platformInfo) => {
-              const browserInfo = navigator.userAgent;
-              const os = platformInfo.os || "Unknown OS";
-              const browserVersion = browserInfo.match(/(Chrome)\/([0-9.]+)/)
-                ? `${browserInfo.match(/(Chrome)\/([0-9.]+)/)[0]}`
-                : browserInfo;
-
-              // Simple device type detection (can be more robust if needed)
-              const deviceType =
-                navigator.userAgent.match(/Mobi/) ||
-                navigator.userAgent.match(/Android/i) ||
-                navigator.userAgent.match(/iPhone|iPad|iPod/i)
-                  ? "Mobile"
-                  : screenData.screenWidth && screenData.screenWidth <= 768
-                    ? "Tablet"
-                    : "Desktop";
-
-              pendingWebhook.browserInfo = {
-                browser: browserVersion,
-                operatingSystem: os,
-                deviceType: deviceType,
-                screenResolution: screenData.screenWidth
-                  ? `${screenData.screenWidth}x${screenData.screenHeight}`
-                  : null,
-                windowSize: screenData.windowWidth
-                  ? `${screenData.windowWidth}x${screenData.windowHeight}`
-                  : null,
-              };
-
-              chrome.storage.local.set({ pendingWebhook }, () => {
-                // Open the modal window
-                chrome.windows.create({
-                  url: "modal.html",
-                  type: "popup",
-                  width: 500,
-                  height: 600,
-                });
-              });
-            });
-          });
-        } else {
-          // Send webhook directly without showing modal
-          let urlToSend,
-            type,
-            selectionText = null;
-
-          if (info.linkUrl) {
-            urlToSend = info.linkUrl;
-            type = "link";
-          } else if (info.srcUrl) {
-            urlToSend = info.srcUrl;
-            type = info.mediaType === "video" ? "video" : "image";
-          } else {
-            type = info.selectionText ? "selection" : "page";
-            urlToSend = info.pageUrl;
-            selectionText = info.selectionText;
-          }
+    if (networkOffline) {
+      showNotification(
+        `📴 ${webhook.name} - Offline`,
+        `Capture saved. It will be sent when the connection returns (${countWaitingDeliveries()} waiting).`,
+        true,
+      );
+    } else if (willBeQueued) {
+      showQueueNotification(key, webhook.name);
+    }
 
-          extractDataAndSend(
-            webhook.url,
-            urlToSend,
-            type,
-            tab.id,
-            selectionText,
-            "",
-            info.pageUrl,
+    processQueue(key);
+  });
+}
+
+/**
+ * Processes a webhook's queue.
+ * It sends the next item when the webhook's token bucket has a token and a
+ * request slot is free under the global limit, then moves on to the item after it.
+ * Nothing is sent while the network is offline; the queue is flushed once it returns.
+ * When the bucket is empty it schedules another attempt for when the next token
+ * arrives, using a timer backed by an alarm; when every slot is taken the queue
+ * waits for a running request to finish (see fillRequestSlots). A paused queue
+ * sends nothing until it is resumed.
+ * Sent items move to the in-flight list until delivery succeeds or finally fails.
+ *
+ * @param {string} key - The queue key of the webhook whose queue needs processing.
+ */
+function processQueue(key) {
+  const queueData = webhookQueues.get(key);
+  if (!queueData || queueData.queue.length === 0 || queueData.paused) return;
+
+  // Offline: leave items parked in the queue until connectivity returns
+  if (networkOffline || !navigator.onLine) {
+    setNetworkOffline(true);
+    return;
+  }
+
+  if (!hasFreeRequestSlot()) return;
+
+  const waitTime = msUntilTokens(queueData, 1);
+  if (waitTime > 0) {
+    clearTimeout(queueData.timer);
+    queueData.timer = scheduleWake(
+      `${QUEUE_ALARM_PREFIX}${key}`,
+      waitTime,
+      () => processQueue(key),
+    );
+    return;
+  }
+
+  // Send the next item in queue
+  const item = queueData.queue.shift();
+  queueData.inFlight.push(item);
+  if (queueData.rateLimit) {
+    queueData.tokens -= 1;
+  }
+  persistQueues();
+
+  // Clear any existing queue notification for this webhook
+  clearQueueNotification(key);
+
+  postToWebhookDirect(item);
+
+  // Schedule next item if queue has more items
+  if (queueData.queue.length > 0) {
+    processQueue(key);
+  } else {
+    chrome.alarms.clear(`${QUEUE_ALARM_PREFIX}${key}`);
+  }
+}
+
+/**
+ * Schedules another delivery attempt for an in-flight item.
+ * The retry time is persisted so the retry survives a service worker restart.
+ *
+ * @param {object} item - The in-flight queue item.
+ * @param {number} delayMs - The delay before the next attempt.
+ */
+function scheduleRetry(item, delayMs) {
+  item.nextAttemptAt = Date.now() + delayMs;
+  persistQueues();
+
+  retryTimers.set(
+    item.id,
+    scheduleWake(`${RETRY_ALARM_PREFIX}${item.id}`, delayMs, () =>
+      retryDelivery(queueKey(item.webhook), item.id),
+    ),
+  );
+}
+
+/**
+ * Sends a due retry for an in-flight item.
+ * Does nothing if the item has already been delivered or an attempt is already
+ * running, since both the timer and its backup alarm can trigger a retry.
+ * A retry that finds every request slot taken stays due until one frees up.
+ *
+ * @param {string} key - The queue key of the webhook the item belongs to.
+ * @param {string} itemId - The ID of the in-flight item.
+ */
+function retryDelivery(key, itemId) {
+  const item = webhookQueues
+    .get(key)
+    ?.inFlight.find((inFlightItem) => inFlightItem.id === itemId);
+  if (!item || item.nextAttemptAt === null || item.nextAttemptAt > Date.now()) {
+    return;
+  }
+
+  if (networkOffline) {
+    parkDelivery(item);
+    return;
+  }
+
+  if (!hasFreeRequestSlot()) return;
+
+  postToWebhookDirect(item);
+}
+
+/**
+ * Removes an item from its queue's in-flight list once delivery has succeeded
+ * or finally failed.
+ *
+ * @param {object} item - The in-flight queue item.
+ */
+function completeDelivery(item) {
+  const queueData = webhookQueues.get(queueKey(item.webhook));
+  if (queueData) {
+    queueData.inFlight = queueData.inFlight.filter(
+      (inFlightItem) => inFlightItem.id !== item.id,
+    );
+  }
+  clearTimeout(retryTimers.get(item.id));
+  retryTimers.delete(item.id);
+  chrome.alarms.clear(`${RETRY_ALARM_PREFIX}${item.id}`);
+  persistQueues();
+}
+
+/**
+ * Cancels a queued or in-flight delivery. A running request is aborted, a pending
+ * retry is dropped, and the cancellation is recorded in the delivery history.
+ *
+ * @param {string} itemId - The ID of the queue item to cancel.
+ * @returns {Promise<{ok: boolean, error?: string}>} Whether a delivery was canceled.
+ */
+function cancelDelivery(itemId) {
+  return restoreQueues().then(() => {
+    for (const [key, queueData] of webhookQueues) {
+      const queued = queueData.queue.find((item) => item.id === itemId);
+      const inFlight = queueData.inFlight.find((item) => item.id === itemId);
+      const item = queued || inFlight;
+      if (!item) continue;
+
+      item.canceled = true;
+      const controller = requestControllers.get(itemId);
+      if (queued) {
+        queueData.queue = queueData.queue.filter(
+          (queuedItem) => queuedItem.id !== itemId,
+        );
+        persistQueues();
+        if (queueData.queue.length === 0) {
+          clearQueueNotification(key);
+        }
+      } else {
+        completeDelivery(item);
+      }
+
+      // A running request records its own cancellation once the abort lands
+      if (controller) {
+        controller.abort();
+      } else {
+        recordDelivery({
+          ...createHistoryEntry(item),
+          outcome: "canceled",
+          error: queued
+            ? "Canceled before it was sent"
+            : "Canceled while waiting to retry",
+        });
+      }
+
+      console.log("Canceled delivery", itemId);
+      if (reportToGroup(item, { outcome: "canceled" })) return { ok: true };
+      showNotification(
+        `🚫 ${item.webhook.name || "Webhook"} - Canceled`,
+        `The ${item.payload.type || "capture"} was not sent.`,
+        false,
+      );
+      return { ok: true };
+    }
+    return { ok: false, error: "The delivery has already finished" };
+  });
+}
+
+/**
+ * Finds a queued (not yet sent) item by ID across every webhook's queue.
+ *
+ * @param {string} itemId - The ID of the queue item.
+ * @returns {{key: string, queueData: object, item: object}|null} The item and its queue, or null.
+ */
+function findQueuedItem(itemId) {
+  for (const [key, queueData] of webhookQueues) {
+    const item = queueData.queue.find((queued) => queued.id === itemId);
+    if (item) return { key, queueData, item };
+  }
+  return null;
+}
+
+/**
+ * Pauses or resumes a webhook's queue. A paused queue keeps collecting captures
+ * but sends none of them until it is resumed; retries of deliveries that were
+ * already sent carry on.
+ *
+ * @param {string} key - The queue key of the webhook.
+ * @param {boolean} paused - Whether the queue should be paused.
+ * @returns {Promise<{ok: boolean}>} Resolves once the queue is updated.
+ */
+function setQueuePaused(key, paused) {
+  return restoreQueues().then(() => {
+    const queueData = getQueueData(key);
+    queueData.paused = paused;
+    persistQueues();
+
+    if (paused) {
+      clearTimeout(queueData.timer);
+      chrome.alarms.clear(`${QUEUE_ALARM_PREFIX}${key}`);
+    } else {
+      processQueue(key);
+    }
+    return { ok: true };
+  });
+}
+
+/**
+ * Moves a queued item to the front of its webhook's queue so it is sent next.
+ *
+ * @param {string} itemId - The ID of the queue item.
+ * @returns {Promise<{ok: boolean, error?: string}>} Whether the item was moved.
+ */
+function moveQueuedItemToFront(itemId) {
+  return restoreQueues().then(() => {
+    const found = findQueuedItem(itemId);
+    if (!found) return { ok: false, error: "The delivery is no longer queued" };
+
+    const { queueData, item } = found;
+    queueData.queue = [
+      item,
+      ...queueData.queue.filter((queued) => queued !== item),
+    ];
+    persistQueues();
+    return { ok: true };
+  });
+}
+
+/**
+ * Sends a queued item right away, skipping the rest of its queue. It does not wait
+ * for the webhook's rate limit, a pause or the limit on requests at once, and does
+ * not use up a token.
+ *
+ * @param {string} itemId - The ID of the queue item.
+ * @returns {Promise<{ok: boolean, error?: string}>} Whether the item was sent.
+ */
+function sendQueuedItemNow(itemId) {
+  return restoreQueues().then(() => {
+    const found = findQueuedItem(itemId);
+    if (!found) return { ok: false, error: "The delivery is no longer queued" };
+    if (networkOffline) {
+      return {
+        ok: false,
+        error: "The network is offline; it will be sent when it returns",
+      };
+    }
+
+    const { key, queueData, item } = found;
+    queueData.queue = queueData.queue.filter((queued) => queued !== item);
+    queueData.inFlight.push(item);
+    persistQueues();
+    if (queueData.queue.length === 0) {
+      clearQueueNotification(key);
+    }
+
+    postToWebhookDirect(item);
+    return { ok: true };
+  });
+}
+
+/**
+ * Checks whether a webhook collects captures into batches. Batching is only
+ * available for custom webhooks; destination presets expect one capture per message.
+ *
+ * @param {object} webhook - The stored webhook configuration.
+ * @returns {boolean} True when captures should be batched.
+ */
+function isBatching(webhook) {
+  return Boolean(
+    webhook.batch &&
+      (webhook.destinationType || "generic") === "generic" &&
+      (webhook.batch.size || webhook.batch.wait),
+  );
+}
+
+/**
+ * Adds a capture to a webhook's pending batch, starting a new batch if needed.
+ * The batch is sent once it holds `batch.size` captures or `batch.wait` minutes
+ * after its first capture, whichever comes first.
+ *
+ * @param {object} webhook - The stored webhook configuration.
+ * @param {object} payload - The capture payload.
+ * @param {string|null} groupRunId - The group run the capture belongs to, if any.
+ */
+function addToBatch(webhook, payload, groupRunId) {
+  const key = queueKey(webhook);
+  const queueData = getQueueData(key);
+  if (!queueData.batch) {
+    queueData.batch = { items: [], startedAt: Date.now(), webhook };
+  }
+  const batch = queueData.batch;
+  batch.webhook = webhook;
+  batch.items.push(payload);
+  persistQueues();
+
+  // The group's summary cannot wait for the batch, so batched members report straight away
+  if (groupRunId) {
+    settleGroupMember(groupRunId, webhook.id, {
+      outcome: "batched",
+      detail: describeBatch(batch),
+    });
+  }
+
+  if (webhook.batch.size && batch.items.length >= webhook.batch.size) {
+    flushBatch(key);
+    return;
+  }
+
+  scheduleBatchFlush(key);
+  if (networkOffline) {
+    showNotification(
+      `📴 ${webhook.name} - Offline`,
+      `Capture added to the batch (${describeBatch(batch)}). It will be sent when the connection returns.`,
+      true,
+    );
+  } else {
+    showQueueNotification(key, webhook.name);
+  }
+}
+
+/**
+ * Describes how full a batch is and when it will be sent, e.g. "3 of 10 captures, sends in 12m".
+ *
+ * @param {{items: Array<object>, startedAt: number, webhook: object}} batch - The pending batch.
+ * @returns {string} The description.
+ */
+function describeBatch(batch) {
+  const { size, wait } = batch.webhook.batch || {};
+  const count = `${batch.items.length}${size ? ` of ${size}` : ""} capture${(size || batch.items.length) === 1 ? "" : "s"}`;
+  if (!wait) return `${count}, sends when full`;
+
+  const remainingMs = batch.startedAt + wait * 60 * 1000 - Date.now();
+  return `${count}, sends in ${formatDelay(Math.max(remainingMs, 0))}`;
+}
+
+/**
+ * Schedules a webhook's pending batch to be sent when its wait time runs out,
+ * or sends it now if that time has already passed (e.g. while the worker was stopped).
+ *
+ * @param {string} key - The queue key of the webhook.
+ */
+function scheduleBatchFlush(key) {
+  const queueData = webhookQueues.get(key);
+  const wait = queueData?.batch?.webhook.batch?.wait;
+  if (!wait) return;
+
+  const delay = queueData.batch.startedAt + wait * 60 * 1000 - Date.now();
+  if (delay <= 0) {
+    flushBatch(key);
+    return;
+  }
+
+  clearTimeout(queueData.batchTimer);
+  queueData.batchTimer = scheduleWake(
+    `${BATCH_ALARM_PREFIX}${key}`,
+    delay,
+    () => flushBatch(key),
+  );
+}
+
+/**
+ * Sends a webhook's pending batch: its captures become one queue item, so the
+ * batch goes through the usual rate limit, retries, history and dead letters.
+ * The payload is `{id, type: "batch", timestamp, count, items}`; JSON bodies send
+ * just the `items` array, and body templates can loop over it with `{{#each items}}`.
+ *
+ * @param {string} key - The queue key of the webhook.
+ * @returns {Promise<{ok: boolean, count?: number, error?: string}>} How many captures were sent.
+ */
+function flushBatch(key) {
+  return restoreQueues().then(() => {
+    const queueData = webhookQueues.get(key);
+    const batch = queueData?.batch;
+    if (!batch || batch.items.length === 0) {
+      return { ok: false, error: "There is no batch waiting to be sent" };
+    }
+
+    queueData.batch = null;
+    clearTimeout(queueData.batchTimer);
+    chrome.alarms.clear(`${BATCH_ALARM_PREFIX}${key}`);
+    clearQueueNotification(key);
+
+    addToQueue(batch.webhook, {
+      id: crypto.randomUUID(),
+      type: "batch",
+      timestamp: new Date().toISOString(),
+      count: batch.items.length,
+      items: batch.items,
+    });
+    return { ok: true, count: batch.items.length };
+  });
+}
+
+/**
+ * Removes the most recent capture from a webhook's pending batch.
+ *
+ * @param {string} key - The queue key of the webhook.
+ */
+function removeLatestBatchItem(key) {
+  const queueData = webhookQueues.get(key);
+  if (!queueData?.batch) return;
+
+  const removed = queueData.batch.items.pop();
+  const webhookName = queueData.batch.webhook.name || "Webhook";
+  if (queueData.batch.items.length === 0) {
+    queueData.batch = null;
+    clearTimeout(queueData.batchTimer);
+    chrome.alarms.clear(`${BATCH_ALARM_PREFIX}${key}`);
+    clearQueueNotification(key);
+  }
+  persistQueues();
+
+  showNotification(
+    `🚫 ${webhookName} - Removed From Batch`,
+    `The ${removed.type || "capture"} will not be sent.`,
+    false,
+  );
+}
+
+/**
+ * Counts the deliveries that are queued or in flight across every webhook.
+ *
+ * @returns {number} The number of waiting deliveries.
+ */
+function countWaitingDeliveries() {
+  let count = 0;
+  webhookQueues.forEach((queueData) => {
+    count += queueData.queue.length + queueData.inFlight.length;
+  });
+  return count;
+}
+
+/**
+ * Checks whether the internet is reachable: the browser must report being online
+ * and a lightweight request to the check URL must get any response.
+ * This tells a dropped connection apart from a webhook server that is down.
+ * Once the check URL is taken to be blocked, only `navigator.onLine` counts.
+ *
+ * @returns {Promise<boolean>} True when the network is reachable.
+ */
+function checkConnectivity() {
+  if (!navigator.onLine) return Promise.resolve(false);
+  if (connectivityCheckBlocked) return Promise.resolve(true);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(
+    () => controller.abort(),
+    CONNECTIVITY_CHECK_TIMEOUT_MS,
+  );
+  return fetch(connectivityCheckUrl, {
+    method: "HEAD",
+    cache: "no-store",
+    signal: controller.signal,
+  })
+    .then(
+      () => true,
+      () => false,
+    )
+    .finally(() => clearTimeout(timeout));
+}
+
+/**
+ * Records whether the network is offline. Going offline starts polling for
+ * connectivity; coming back online flushes every parked queue in order,
+ * respecting each webhook's rate limit.
+ *
+ * @param {boolean} offline - Whether the network is offline.
+ */
+function setNetworkOffline(offline) {
+  if (networkOffline === offline) return;
+  networkOffline = offline;
+  networkStatusSince = Date.now();
+  saveNetworkStatus();
+
+  if (offline) {
+    console.log("Network is offline, holding deliveries");
+    showNotification(
+      "📴 Offline",
+      "Captures are saved and will be sent when the connection returns.",
+      false,
+    );
+    watchConnectivity();
+  } else {
+    console.log("Network is back, flushing parked deliveries");
+    clearTimeout(connectivityTimer);
+    chrome.alarms.clear(CONNECTIVITY_ALARM);
+    processAllQueues();
+  }
+}
+
+/**
+ * Saves the network status, so the popup can show it and a restarted worker
+ * keeps holding deliveries and counting failed checks where it left off.
+ */
+function saveNetworkStatus() {
+  chrome.storage.local.set({
+    [NETWORK_STATUS_STORAGE_KEY]: {
+      offline: networkOffline,
+      since: networkStatusSince,
+      failedChecks: failedConnectivityChecks,
+      checkBlocked: connectivityCheckBlocked,
+    },
+  });
+}
+
+/**
+ * Schedules the next connectivity check while offline.
+ */
+function watchConnectivity() {
+  clearTimeout(connectivityTimer);
+  connectivityTimer = scheduleWake(
+    CONNECTIVITY_ALARM,
+    CONNECTIVITY_CHECK_INTERVAL_MS,
+    recheckConnectivity,
+  );
+}
+
+/**
+ * Checks connectivity while offline and resumes delivery once it is back.
+ * When the check keeps failing while Chrome reports being online, the check URL is
+ * probably blocked on this network rather than the network being down, so after
+ * MAX_FAILED_CONNECTIVITY_CHECKS the held deliveries go back to the normal retry
+ * and dead-letter path instead of waiting forever.
+ */
+function recheckConnectivity() {
+  if (!networkOffline) return;
+  checkConnectivity().then((online) => {
+    if (online) {
+      failedConnectivityChecks = 0;
+      setNetworkOffline(false);
+      return;
+    }
+    if (navigator.onLine) failedConnectivityChecks++;
+    if (failedConnectivityChecks >= MAX_FAILED_CONNECTIVITY_CHECKS) {
+      console.warn(
+        `Connectivity check to ${connectivityCheckUrl} keeps failing while online, ignoring it`,
+      );
+      connectivityCheckBlocked = true;
+      setNetworkOffline(false);
+      return;
+    }
+    saveNetworkStatus();
+    watchConnectivity();
+  });
+}
+
+/**
+ * Moves an in-flight item back into its queue while the network is offline.
+ * The attempt does not count against the retry policy, and the queue is kept in
+ * capture order so parked items flush in the order they were captured.
+ *
+ * @param {object} item - The in-flight queue item.
+ */
+function parkDelivery(item) {
+  const queueData = getQueueData(queueKey(item.webhook));
+  queueData.inFlight = queueData.inFlight.filter(
+    (inFlightItem) => inFlightItem.id !== item.id,
+  );
+  clearTimeout(retryTimers.get(item.id));
+  retryTimers.delete(item.id);
+  chrome.alarms.clear(`${RETRY_ALARM_PREFIX}${item.id}`);
+
+  if (item.nextAttemptAt === null) {
+    item.attempts = Math.max(0, (item.attempts || 0) - 1);
+  }
+  item.nextAttemptAt = null;
+  queueData.queue.push(item);
+  queueData.queue.sort((a, b) => a.timestamp - b.timestamp);
+  persistQueues();
+}
+
+/**
+ * Sanitizes a string to be used as a Chrome context menu ID.
+ * Replaces non-alphanumeric characters with underscores and truncates to 50 characters.
+ *
+ * @param {string} name - The original string to sanitize.
+ * @returns {string} The sanitized string suitable for a menu ID.
+ */
+function sanitizeMenuId(name) {
+  return name.replace(/[^a-zA-Z0-9_-]/g, "_").substring(0, 50);
+}
+
+let updateWebhookMenusTimeout;
+/**
+ * Updates the Chrome context menus with the currently configured webhooks.
+ * This function debounces multiple calls to avoid excessive menu rebuilds.
+ * It first removes all existing custom menu items, then recreates the parent
+ * "Send to Webhook" menu, and finally adds child menu items for each stored webhook.
+ */
+function updateWebhookMenus() {
+  // Debounce to avoid excessive rebuilds
+  clearTimeout(updateWebhookMenusTimeout);
+  updateWebhookMenusTimeout = setTimeout(() => {
+    // First remove all existing child items (if any)
+    chrome.contextMenus.removeAll(() => {
+      // Recreate parent menu to avoid reference errors
+      chrome.contextMenus.create(
+        {
+          id: "sendToWebhook",
+          title: "Send to Webhook",
+          contexts: ["page", "link", "image", "selection", "video"],
+        },
+        () => {
+          // Check for errors
+          if (chrome.runtime.lastError) {
+            console.error(
+              `Error recreating parent menu: ${chrome.runtime.lastError.message}`,
+            );
+            return;
+          }
+
+          // Now add child items
+          chrome.storage.local.get(["webhooks", "webhookGroups"], (data) => {
+            if (data.webhooks && data.webhooks.length > 0) {
+              data.webhooks.forEach((webhook, index) => {
+                createWebhookMenuItems(webhook, index);
+              });
+            }
+
+            // Groups follow the webhooks, after a separator
+            if (data.webhookGroups && data.webhookGroups.length > 0) {
+              chrome.contextMenus.create({
+                id: "groupSeparator",
+                parentId: "sendToWebhook",
+                type: "separator",
+                contexts: ["page", "link", "image", "selection", "video"],
+              });
+
+              data.webhookGroups.forEach((group, index) => {
+                const sanitizedId = sanitizeMenuId(group.name);
+                const title = `${group.name} (${group.webhooks.length} webhooks)`;
+
+                chrome.contextMenus.create({
+                  id: `sendToGroup_${sanitizedId}_${index}_normal`,
+                  parentId: "sendToWebhook",
+                  title,
+                  contexts: ["page", "link", "image", "video"],
+                });
+
+                chrome.contextMenus.create({
+                  id: `sendToGroup_${sanitizedId}_${index}_selection`,
+                  parentId: "sendToWebhook",
+                  title,
+                  contexts: ["selection"],
+                });
+              });
+            }
+
+            // Rules that Chrome's URL patterns cannot express are applied to the current tab
+            refreshMenuVisibility();
+          });
+        },
+      );
+    });
+  }, 100);
+}
+
+/**
+ * Creates a webhook's context menu items. Webhooks with URL rules only appear where
+ * the rules match: page rules use `documentUrlPatterns`, link rules use `targetUrlPatterns`
+ * (and only appear on links, images and videos). A webhook set as the default for its
+ * sites also gets a "Send to" shortcut beside the "Send to Webhook" submenu, which Chrome
+ * lists with it under the extension's name.
+ *
+ * @param {object} webhook - The stored webhook configuration.
+ * @param {number} index - The index of the webhook in the stored array.
+ */
+function createWebhookMenuItems(webhook, index) {
+  const sanitizedId = sanitizeMenuId(webhook.name);
+  const rules = webhook.urlRules;
+  const onLinks = rules?.matchOn === "link";
+  const patterns = rules ? toMenuUrlPatterns(rules) : null;
+  const urlPatterns = patterns
+    ? { [onLinks ? "targetUrlPatterns" : "documentUrlPatterns"]: patterns }
+    : {};
+  const contexts = onLinks
+    ? ["link", "image", "video"]
+    : ["page", "link", "image", "video"];
+
+  // Create menu item for page, link, and image contexts
+  chrome.contextMenus.create({
+    id: `sendTo_${sanitizedId}_${index}_normal`,
+    parentId: "sendToWebhook",
+    title: webhook.name,
+    contexts,
+    ...urlPatterns,
+  });
+
+  // Create separate menu item for selection context
+  if (!onLinks) {
+    chrome.contextMenus.create({
+      id: `sendTo_${sanitizedId}_${index}_selection`,
+      parentId: "sendToWebhook",
+      title: webhook.name,
+      contexts: ["selection"],
+      ...urlPatterns,
+    });
+  }
+
+  if (rules?.promote) {
+    chrome.contextMenus.create({
+      id: `sendTo_${sanitizedId}_${index}_default`,
+      title: `Send to ${webhook.name}`,
+      contexts: onLinks ? contexts : [...contexts, "selection"],
+      ...urlPatterns,
+    });
+  }
+}
+
+/**
+ * Shows or hides the menu items of webhooks with page rules for a page URL.
+ * This covers what `documentUrlPatterns` cannot: exclude patterns and regexes.
+ *
+ * @param {string|undefined} pageUrl - The URL of the active tab.
+ */
+function updateMenuVisibility(pageUrl) {
+  chrome.storage.local.get({ webhooks: [] }, (data) => {
+    data.webhooks.forEach((webhook, index) => {
+      const rules = webhook.urlRules;
+      if (!rules || rules.matchOn === "link") return;
+
+      const visible = matchesUrlRules(rules, pageUrl);
+      const menuId = `sendTo_${sanitizeMenuId(webhook.name)}_${index}`;
+      ["normal", "selection", ...(rules.promote ? ["default"] : [])].forEach(
+        (type) => {
+          chrome.contextMenus.update(`${menuId}_${type}`, { visible }, () => {
+            // The menus may be in the middle of a rebuild
+            void chrome.runtime.lastError;
+          });
+        },
+      );
+    });
+  });
+}
+
+/**
+ * Applies the webhooks' page rules to the active tab of the focused window.
+ */
+function refreshMenuVisibility() {
+  chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+    if (tabs?.[0]) updateMenuVisibility(tabs[0].url);
+  });
+}
+
+/**
+ * Works out what was right-clicked: the URL to send, the capture type and any selected text.
+ *
+ * @param {object} info - The context menu click info.
+ * @returns {{urlToSend: string, type: string, selectionText: string|null}} The capture context.
+ */
+function readMenuContext(info) {
+  if (info.linkUrl) {
+    return { urlToSend: info.linkUrl, type: "link", selectionText: null };
+  }
+  if (info.srcUrl) {
+    return {
+      urlToSend: info.srcUrl,
+      type: info.mediaType === "video" ? "video" : "image",
+      selectionText: null,
+    };
+  }
+  return {
+    urlToSend: info.pageUrl,
+    type: info.selectionText ? "selection" : "page",
+    selectionText: info.selectionText || null,
+  };
+}
+
+/**
+ * Reads the index from a menu item ID (`sendTo_sanitizedName_index_type`).
+ *
+ * @param {string} menuItemId - The menu item ID.
+ * @returns {number} The index of the webhook or group.
+ */
+function menuItemIndex(menuItemId) {
+  const parts = menuItemId.split("_");
+  return parseInt(parts[parts.length - 2], 10); // Second to last part is the index
+}
+
+/**
+ * Stores a capture waiting for its custom fields, with the tab's browser details,
+ * and opens the custom fields modal. Screenshots are taken now, while the tab still
+ * shows what the user right-clicked, so the modal can show them before sending.
+ *
+ * @param {object} pendingWebhook - The webhook (or group) and click info to send once the fields are filled in.
+ * @param {number} tabId - The ID of the tab where the action originated.
+ */
+function openCustomFieldsModal(pendingWebhook, tabId) {
+  const { urlToSend, type } = readMenuContext(pendingWebhook.info);
+  const { screenshots } = captureOptionsFor(
+    pendingWebhook.members || [pendingWebhook.webhook],
+  );
+
+  takeScreenshots(tabId, screenshots, type, urlToSend)
+    .then((taken) => {
+      pendingWebhook.screenshots = taken;
+      // Get screen resolution and window size from the tab
+      return chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        func: () => ({
+          screenWidth: window.screen.width,
+          screenHeight: window.screen.height,
+          windowWidth: window.innerWidth,
+          windowHeight: window.innerHeight,
+        }),
+      });
+    })
+    .then((results) => {
+      const screenData = results?.[0]?.result || {
+        screenWidth: null,
+        screenHeight: null,
+        windowWidth: null,
+        windowHeight: null,
+      };
+
+      chrome.runtime.getPlatformInfo((platformInfo) => {
+        const browserInfo = navigator.userAgent;
+        const os = platformInfo.os || "Unknown OS";
+        const browserVersion = browserInfo.match(/(Chrome)\/([0-9.]+)/)
+          ? `${browserInfo.match(/(Chrome)\/([0-9.]+)/)[0]}`
+          : browserInfo;
+
+        // Simple device type detection (can be more robust if needed)
+        const deviceType =
+          navigator.userAgent.match(/Mobi/) ||
+          navigator.userAgent.match(/Android/i) ||
+          navigator.userAgent.match(/iPhone|iPad|iPod/i)
+            ? "Mobile"
+            : screenData.screenWidth && screenData.screenWidth <= 768
+              ? "Tablet"
+              : "Desktop";
+
+        pendingWebhook.browserInfo = {
+          browser: browserVersion,
+          operatingSystem: os,
+          deviceType: deviceType,
+          screenResolution: screenData.screenWidth
+            ? `${screenData.screenWidth}x${screenData.screenHeight}`
+            : null,
+          windowSize: screenData.windowWidth
+            ? `${screenData.windowWidth}x${screenData.windowHeight}`
+            : null,
+        };
+
+        chrome.storage.local.set({ pendingWebhook }, () => {
+          // Open the modal window
+          chrome.windows.create({
+            url: "modal.html",
+            type: "popup",
+            width: 500,
+            height: 600,
+          });
+        });
+      });
+    })
+    .catch((error) =>
+      notifyCaptureFailed(pendingWebhook.webhook.name || "Webhook", error),
+    );
+}
+
+/**
+ * Tells the user a capture could not be read from its tab, for example on chrome://
+ * pages, the Chrome Web Store or the PDF viewer, where extensions cannot run scripts.
+ *
+ * @param {string} name - The webhook or group name.
+ * @param {Error} error - The script injection error.
+ */
+function notifyCaptureFailed(name, error) {
+  console.error("Capture failed:", error);
+  showNotification(
+    `❌ ${name} - Capture Failed`,
+    `Could not read this page: ${error.message}`,
+    false,
+  );
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId.startsWith("sendTo_")) {
+    chrome.storage.local.get(["webhooks", "settings"], (data) => {
+      const webhook = data.webhooks[menuItemIndex(info.menuItemId)];
+      const rules = webhook?.urlRules;
+      // Rules saved before the popup checked them can still hold a broken pattern
+      const rulesError = rules && urlRulesError(rules);
+      if (rulesError) {
+        showNotification(
+          `⚠️ ${webhook.name} - Invalid URL Rule`,
+          `${rulesError}. Edit the webhook to fix it.`,
+          false,
+        );
+        return;
+      }
+      if (
+        rules &&
+        !matchesUrlRules(
+          rules,
+          rules.matchOn === "link" ? info.linkUrl || info.srcUrl : info.pageUrl,
+        )
+      ) {
+        // The menu can lag behind the page, e.g. right after navigating
+        showNotification(
+          `🚫 ${webhook.name} - Not Available Here`,
+          `This webhook's URL rules do not match this ${rules.matchOn === "link" ? "link" : "page"}.`,
+          false,
+        );
+        return;
+      }
+      if (webhook) {
+        const hasCustomFields = Array.isArray(webhook.customFields);
+
+        if (hasCustomFields) {
+          // Store data needed for sending the webhook later
+          openCustomFieldsModal({ webhook, info, tabId: tab.id }, tab.id);
+        } else {
+          // Send webhook directly without showing modal
+          const { urlToSend, type, selectionText } = readMenuContext(info);
+          extractDataAndSend(
+            webhook,
+            urlToSend,
+            type,
+            tab.id,
+            selectionText,
+            "",
+            info.pageUrl,
+          );
+        }
+      }
+    });
+  } else if (info.menuItemId.startsWith("sendToGroup_")) {
+    chrome.storage.local.get({ webhooks: [], webhookGroups: [] }, (data) => {
+      const group = data.webhookGroups[menuItemIndex(info.menuItemId)];
+      if (!group) return;
+
+      const members = resolveGroupMembers(group, data.webhooks);
+      // Members share one capture, so their custom fields are asked for together
+      const customFields = members
+        .flatMap((webhook) => webhook.customFields || [])
+        .filter(
+          (field, index, fields) =>
+            fields.findIndex((other) => other.name === field.name) === index,
+        );
+
+      if (customFields.length > 0) {
+        openCustomFieldsModal(
+          {
+            webhook: { name: group.name, customFields },
+            group,
+            members,
+            info,
+            tabId: tab.id,
+          },
+          tab.id,
+        );
+        return;
+      }
+
+      const { urlToSend, type, selectionText } = readMenuContext(info);
+      extractDataAndSendToGroup(
+        group,
+        members,
+        urlToSend,
+        type,
+        tab.id,
+        selectionText,
+        "",
+        info.pageUrl,
+      );
+    });
+  }
+});
+
+// Keep webhooks with page rules in step with the page being viewed
+chrome.tabs.onActivated.addListener(refreshMenuVisibility);
+chrome.windows.onFocusChanged.addListener(refreshMenuVisibility);
+chrome.tabs.onUpdated.addListener((_tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) {
+    updateMenuVisibility(changeInfo.url);
+  }
+});
+
+// Listener for messages from the modal and popup
+chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+  if (request.type === "sendWebhookWithCustomFields") {
+    chrome.storage.local.get("pendingWebhook", (data) => {
+      if (data.pendingWebhook) {
+        const { webhook, group, members, info, tabId, screenshots } =
+          data.pendingWebhook;
+        const customFields = request.customFields;
+        // The modal lets the user drop the screenshot taken when they clicked
+        const screenshotsTaken = request.includeScreenshot
+          ? screenshots || {}
+          : {};
+
+        // Determine context and extract data
+        const { urlToSend, type, selectionText } = readMenuContext(info);
+        if (group) {
+          extractDataAndSendToGroup(
+            group,
+            members,
+            urlToSend,
+            type,
+            tabId,
+            selectionText,
+            customFields,
+            info.pageUrl,
+            screenshotsTaken,
+          );
+        } else {
+          extractDataAndSend(
+            webhook,
+            urlToSend,
+            type,
+            tabId,
+            selectionText,
+            customFields,
+            info.pageUrl,
+            screenshotsTaken,
+          );
+        }
+
+        // Clean up the stored data
+        chrome.storage.local.remove("pendingWebhook");
+        sendResponse({ status: "sent" });
+      }
+    });
+  } else if (request.type === "testWebhook") {
+    // Batching webhooks are tested with the batch sample, the way they receive captures
+    sendTestRequest(
+      request.webhook,
+      isBatching(request.webhook) ? request.batchPayload : request.payload,
+    ).then(sendResponse);
+  } else if (request.type === "flushBatch") {
+    flushBatch(request.key).then(sendResponse);
+  } else if (request.type === "cancelDelivery") {
+    cancelDelivery(request.id).then(sendResponse);
+  } else if (request.type === "setQueuePaused") {
+    setQueuePaused(request.key, request.paused).then(sendResponse);
+  } else if (request.type === "moveToFront") {
+    moveQueuedItemToFront(request.id).then(sendResponse);
+  } else if (request.type === "sendNow") {
+    sendQueuedItemNow(request.id).then(sendResponse);
+  } else if (request.type === "clearHistory") {
+    updateHistory(() => []).then(() => sendResponse({ ok: true }));
+  } else if (request.type === "resendDelivery") {
+    resendDelivery(request.entryId).then(sendResponse);
+  } else if (request.type === "replayDeadLetters") {
+    replayDeadLetters(request.ids).then(sendResponse);
+  } else if (request.type === "updateDeadLetter") {
+    updateDeadLetter(request.id, request.url, request.payload).then(
+      sendResponse,
+    );
+  } else if (request.type === "discardDeadLetters") {
+    updateDeadLetters((letters) =>
+      letters.filter((letter) => !request.ids.includes(letter.id)),
+    ).then(() => sendResponse({ ok: true }));
+  } else if (request.type === "modalCanceled") {
+    // Clean up the stored data if the user cancels
+    chrome.storage.local.remove("pendingWebhook", () => {
+      // This callback ensures storage is cleared before we respond
+      sendResponse({ status: "canceled" });
+    });
+  }
+  return true; // Crucial for async sendResponse
+});
+
+/**
+ * Extracts relevant data from the current tab based on the context type
+ * (page, link, image, video, selection) and then sends it to the specified webhook.
+ *
+ * @param {object} webhook - The stored webhook configuration to send data to.
+ * @param {string} urlToSend - The URL related to the context (e.g., page URL, link URL, image URL).
+ * @param {'page'|'link'|'image'|'video'|'selection'} type - The context type of the data.
+ * @param {number} tabId - The ID of the tab where the action originated.
+ * @param {string|null} selectionText - The selected text, if the context is 'selection'.
+ * @param {Object} customFields - Any additional user-provided content from the custom fields.
+ * @param {string} pageUrl - The URL of the page where the context menu was clicked.
+ * @param {Object<string, object>|null} [screenshotsTaken=null] - Screenshots already taken when the custom fields modal was shown.
+ */
+function extractDataAndSend(
+  webhook,
+  urlToSend,
+  type,
+  tabId,
+  selectionText,
+  customFields,
+  pageUrl,
+  screenshotsTaken = null,
+) {
+  extractCapture(urlToSend, type, tabId, selectionText, customFields, pageUrl, {
+    ...captureOptionsFor([webhook]),
+    screenshotsTaken,
+  }).then(
+    (payload) => deliverCapture(webhook, payload),
+    (error) => notifyCaptureFailed(webhook.name || "Webhook", error),
+  );
+}
+
+/**
+ * Reads the page's structured metadata: Open Graph and Twitter Card tags, the
+ * canonical URL, author, publish and modified dates, language, site name, lead image
+ * and JSON-LD entries for articles, products, recipes and events. Each summary field
+ * falls back from the tags to JSON-LD, so pages that only use one of them still fill it in.
+ * Runs in the page through `chrome.scripting.executeScript`, so it cannot use anything
+ * outside its own body.
+ *
+ * @returns {object} The `metadata` object for the payload.
+ */
+function extractPageMetadata() {
+  const MAX_JSON_LD_ENTRIES = 10;
+  const absolute = (value) => {
+    if (!value) return null;
+    try {
+      return new URL(value, document.baseURI).href;
+    } catch {
+      return null;
+    }
+  };
+  const meta = (...names) => {
+    for (const name of names) {
+      const content = document
+        .querySelector(
+          `meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`,
+        )
+        ?.getAttribute("content")
+        ?.trim();
+      if (content) return content;
+    }
+    return null;
+  };
+
+  // Every og:* and twitter:* tag, keyed without its prefix; repeated tags keep the first value
+  const readPrefixed = (prefix) => {
+    const values = {};
+    document
+      .querySelectorAll(
+        `meta[property^="${prefix}:"], meta[name^="${prefix}:"]`,
+      )
+      .forEach((tag) => {
+        const key = (tag.getAttribute("property") || tag.getAttribute("name"))
+          .slice(prefix.length + 1)
+          .toLowerCase();
+        const content = tag.getAttribute("content")?.trim();
+        if (key && content && !(key in values)) {
+          values[key] = content;
+        }
+      });
+    return values;
+  };
+  const openGraph = readPrefixed("og");
+  const twitter = readPrefixed("twitter");
+
+  // JSON-LD blocks can hold one entry, an array, or an @graph of entries
+  const jsonLd = [];
+  const collect = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(collect);
+    } else if (node && typeof node === "object") {
+      if (Array.isArray(node["@graph"])) collect(node["@graph"]);
+      const types = [node["@type"]].flat().filter(Boolean);
+      if (
+        types.some((type) =>
+          /(Article|BlogPosting|Product|Recipe|Event)$/.test(type),
+        )
+      ) {
+        jsonLd.push(node);
+      }
+    }
+  };
+  document
+    .querySelectorAll('script[type="application/ld+json"]')
+    .forEach((script) => {
+      try {
+        collect(JSON.parse(script.textContent));
+      } catch {
+        // Broken JSON-LD is common; skip the block
+      }
+    });
+  const entry = jsonLd[0] || {};
+  const nameOf = (value) =>
+    [value]
+      .flat()
+      .map((item) => (typeof item === "string" ? item : item?.name))
+      .filter(Boolean)
+      .join(", ") || null;
+  const imageOf = (value) => {
+    const image = [value].flat()[0];
+    return typeof image === "string" ? image : image?.url || null;
+  };
+
+  return {
+    canonicalUrl:
+      absolute(document.querySelector('link[rel="canonical"]')?.href) ||
+      absolute(openGraph.url),
+    siteName:
+      openGraph.site_name ||
+      meta("application-name") ||
+      nameOf(entry.publisher),
+    author:
+      meta("author", "article:author") ||
+      nameOf(entry.author) ||
+      twitter.creator ||
+      null,
+    publishedTime:
+      meta("article:published_time", "datePublished", "date") ||
+      entry.datePublished ||
+      entry.startDate ||
+      null,
+    modifiedTime:
+      meta("article:modified_time", "og:updated_time", "dateModified") ||
+      entry.dateModified ||
+      null,
+    lang:
+      document.documentElement.lang ||
+      openGraph.locale?.replace("_", "-") ||
+      null,
+    image: absolute(
+      openGraph["image:secure_url"] ||
+        openGraph.image ||
+        twitter.image ||
+        imageOf(entry.image) ||
+        document.querySelector('link[rel="image_src"]')?.href,
+    ),
+    openGraph,
+    twitter,
+    jsonLd: jsonLd.slice(0, MAX_JSON_LD_ENTRIES),
+  };
+}
+
+/**
+ * Reads what surrounds the current selection: the sentence(s) and paragraph it was
+ * made in, the nearest heading before it, the nearest element `id` to link to, and a
+ * `#:~:text=` text-fragment URL that scrolls to and highlights the passage when opened.
+ * Runs in the page through `chrome.scripting.executeScript`, so it cannot use anything
+ * outside its own body.
+ *
+ * @returns {object|null} The selection context, or null when nothing is selected.
+ */
+function extractSelectionContext() {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+    return null;
+  }
+
+  const BLOCKS =
+    "p, li, dd, dt, blockquote, pre, td, th, figcaption, h1, h2, h3, h4, h5, h6, div, section, article, main, body";
+  const collapse = (text) => text.replace(/\s+/g, " ").trim();
+  const elementOf = (node) =>
+    node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const words = (text) => collapse(text).split(" ").filter(Boolean);
+
+  const first = selection.getRangeAt(0);
+  const last = selection.getRangeAt(selection.rangeCount - 1);
+  const startBlock =
+    elementOf(first.startContainer).closest(BLOCKS) || document.body;
+  const endBlock =
+    elementOf(last.endContainer).closest(BLOCKS) || document.body;
+
+  // Text of the start block before the selection, and of the end block after it
+  const before = document.createRange();
+  before.setStart(startBlock, 0);
+  before.setEnd(first.startContainer, first.startOffset);
+  const after = document.createRange();
+  after.setStart(last.endContainer, last.endOffset);
+  after.setEnd(endBlock, endBlock.childNodes.length);
+  const textBefore = before.toString();
+  const textAfter = after.toString();
+  const text = selection.toString();
+
+  // The paragraph the selection starts in, or up to 1000 characters either side of it
+  // when that "paragraph" is a whole page of loose text
+  const paragraph = startBlock.textContent;
+  const start = textBefore.length;
+  const end = startBlock.contains(last.endContainer)
+    ? paragraph.length - textAfter.length
+    : paragraph.length;
+  const aroundStart = Math.max(0, start - 1000);
+  const around = paragraph.slice(aroundStart, end + 1000);
+
+  // The sentences overlapping the selection
+  let sentence = null;
+  if (typeof Intl.Segmenter === "function") {
+    const segmenter = new Intl.Segmenter(
+      document.documentElement.lang || undefined,
+      { granularity: "sentence" },
+    );
+    sentence = collapse(
+      [...segmenter.segment(around)]
+        .filter(
+          ({ index, segment }) =>
+            aroundStart + index < Math.max(end, start + 1) &&
+            aroundStart + index + segment.length > start,
+        )
+        .map(({ segment }) => segment)
+        .join(""),
+    );
+  }
+
+  // Headings and ids before the selection (or around it), nearest last in document order
+  const precedes = (element) =>
+    element.contains(first.startContainer) ||
+    Boolean(
+      element.compareDocumentPosition(first.startContainer) &
+        Node.DOCUMENT_POSITION_FOLLOWING,
+    );
+  const heading = [...document.querySelectorAll("h1, h2, h3, h4, h5, h6")]
+    .filter(precedes)
+    .pop();
+  const anchor = [...document.querySelectorAll("[id]")]
+    .filter((element) => element.id && precedes(element))
+    .pop();
+
+  const pageUrl = new URL(window.location.href);
+  pageUrl.hash = "";
+  // The directive follows the page's own fragment, if it has one
+  const fragmentBase = window.location.hash
+    ? window.location.href
+    : `${pageUrl.href}#`;
+
+  // Short selections are quoted whole; longer or multi-paragraph ones by their first and
+  // last words, since one text directive cannot span paragraphs. A few words either side
+  // tell apart repeats of the same passage.
+  const encode = (value) => encodeURIComponent(value).replace(/-/g, "%2D");
+  const lines = text.split(/\n+/).map(collapse).filter(Boolean);
+  let directive = null;
+  if (lines.length > 0) {
+    const firstWords = words(lines[0]);
+    const lastWords = words(lines[lines.length - 1]);
+    directive =
+      lines.length === 1 && firstWords.length <= 10
+        ? encode(lines[0])
+        : `${encode(firstWords.slice(0, 5).join(" "))},${encode(lastWords.slice(-5).join(" "))}`;
+    const prefix = words(textBefore).slice(-3).join(" ");
+    const suffix = words(textAfter).slice(0, 3).join(" ");
+    if (prefix && /\s$/.test(textBefore)) {
+      directive = `${encode(prefix)}-,${directive}`;
+    }
+    if (suffix && /^\s/.test(textAfter)) {
+      directive = `${directive},-${encode(suffix)}`;
+    }
+  }
+
+  return {
+    text,
+    sentence: sentence || null,
+    paragraph: collapse(paragraph.length > 2000 ? around : paragraph) || null,
+    heading: heading
+      ? {
+          text: collapse(heading.textContent),
+          level: Number(heading.tagName[1]),
+          id: heading.id || null,
+        }
+      : null,
+    anchor: anchor
+      ? {
+          id: anchor.id,
+          url: `${pageUrl.href}#${encodeURIComponent(anchor.id)}`,
+        }
+      : null,
+    textFragmentUrl: directive ? `${fragmentBase}:~:text=${directive}` : null,
+  };
+}
+
+/**
+ * Extracts the capture payload from the current tab based on the context type
+ * (page, link, image, video, selection).
+ * It uses `chrome.scripting.executeScript` to get page-specific details.
+ *
+ * @param {string} urlToSend - The URL related to the context (e.g., page URL, link URL, image URL).
+ * @param {'page'|'link'|'image'|'video'|'selection'} type - The context type of the data.
+ * @param {number} tabId - The ID of the tab where the action originated.
+ * @param {string|null} selectionText - The selected text, if the context is 'selection'.
+ * @param {Object} customFields - Any additional user-provided content from the custom fields.
+ * @param {string} pageUrl - The URL of the page where the context menu was clicked.
+ * @param {{articleMaxLength?: number, screenshots?: Array<object>, screenshotsTaken?: Object<string, object>|null, extractors?: Array<object>, unfurl?: boolean}} [captureOptions={}]
+ *   Optional extras to capture; see `captureOptionsFor`. Screenshots already taken (when the
+ *   custom fields modal was shown) are passed as `screenshotsTaken` and used instead.
+ * @returns {Promise<object>} The capture payload.
+ */
+function extractCapture(
+  urlToSend,
+  type,
+  tabId,
+  selectionText,
+  customFields,
+  pageUrl,
+  captureOptions = {},
+) {
+  let codeToExecute;
+
+  // Function to get screen resolution, executed in content script
+  const getScreenResolution = () => ({
+    screenWidth: window.screen.width,
+    screenHeight: window.screen.height,
+  });
+
+  // Function to get browser window size, executed in content script
+  const getWindowSize = () => ({
+    windowWidth: window.innerWidth,
+    windowHeight: window.innerHeight,
+  });
+
+  if (type === "page" || type === "selection") {
+    codeToExecute = () => ({
+      title: document.title,
+      description:
+        document
+          .querySelector('meta[name="description"]')
+          ?.getAttribute("content") || null,
+      keywords:
+        document
+          .querySelector('meta[name="keywords"]')
+          ?.getAttribute("content") || null,
+      favicon:
+        document.querySelector('link[rel="icon"]')?.href ||
+        document.querySelector('link[rel="shortcut icon"]')?.href ||
+        null,
+    });
+  } else if (type === "link") {
+    codeToExecute = (...rest) => {
+      let linkTitle = null;
+      const links = document.querySelectorAll("a");
+      for (const link of links) {
+        if (link.href === rest[0]) {
+          linkTitle =
+            link.title ||
+            link.getAttribute("aria-label") ||
+            link.innerText ||
+            null;
+        }
+      }
+
+      return {
+        title: document.title,
+        description:
+          document
+            .querySelector('meta[name="description"]')
+            ?.getAttribute("content") || null,
+        keywords:
+          document
+            .querySelector('meta[name="keywords"]')
+            ?.getAttribute("content") || null,
+        favicon:
+          document.querySelector('link[rel="icon"]')?.href ||
+          document.querySelector('link[rel="shortcut icon"]')?.href ||
+          null,
+        linkTitle,
+      };
+    };
+  } else if (type === "image") {
+    codeToExecute = (...rest) => {
+      let altText = null;
+      const media = document.querySelectorAll("img");
+
+      for (const item of media) {
+        if (item.src === rest[0]) {
+          altText = item.alt || item.title || null;
+        }
+      }
+
+      return {
+        title: document.title,
+        description:
+          document
+            .querySelector('meta[name="description"]')
+            ?.getAttribute("content") || null,
+        keywords:
+          document
+            .querySelector('meta[name="keywords"]')
+            ?.getAttribute("content") || null,
+        favicon:
+          document.querySelector('link[rel="icon"]')?.href ||
+          document.querySelector('link[rel="shortcut icon"]')?.href ||
+          null,
+        altText,
+      };
+    };
+  } else if (type === "video") {
+    codeToExecute = (...rest) => {
+      let altText = null;
+      const media = document.querySelectorAll("video");
+
+      for (const item of media) {
+        if (item.src === rest[0]) {
+          altText = item.alt || item.title || null;
+        }
+      }
+
+      return {
+        title: document.title,
+        description:
+          document
+            .querySelector('meta[name="description"]')
+            ?.getAttribute("content") || null,
+        keywords:
+          document
+            .querySelector('meta[name="keywords"]')
+            ?.getAttribute("content") || null,
+        favicon:
+          document.querySelector('link[rel="icon"]')?.href ||
+          document.querySelector('link[rel="shortcut icon"]')?.href ||
+          null,
+        altText,
+      };
+    };
+  }
+
+  // Screenshots taken earlier (when the custom fields modal was shown) are reused
+  const screenshots = captureOptions.screenshotsTaken
+    ? Promise.resolve(captureOptions.screenshotsTaken)
+    : takeScreenshots(tabId, captureOptions.screenshots || [], type, urlToSend);
+
+  // Full-article extraction only runs for page captures a webhook asked it for.
+  // A page it fails on still sends the rest of the capture.
+  const articleExtraction =
+    type === "page" && captureOptions.articleMaxLength
+      ? chrome.scripting
+          .executeScript({
+            target: { tabId: tabId },
+            func: extractArticle,
+            args: [captureOptions.articleMaxLength],
+          })
+          .catch((error) => {
+            console.error("Article extraction failed:", error);
+            return null;
+          })
+      : Promise.resolve(null);
+
+  // Selection captures also get the selection's formatting and surroundings
+  const selectionExtraction =
+    type === "selection"
+      ? Promise.all([
+          chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            func: extractArticle,
+            args: [MAX_SELECTION_LENGTH, true],
+          }),
+          chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            func: extractSelectionContext,
+          }),
+        ]).catch((error) => {
+          console.error("Selection extraction failed:", error);
+          return null;
+        })
+      : Promise.resolve(null);
+
+  // User-defined extractors scoped to other pages are left out
+  const extractors = (captureOptions.extractors || []).filter((extractor) =>
+    extractorApplies(extractor, pageUrl),
+  );
+  const extraction =
+    extractors.length > 0
+      ? chrome.scripting
+          .executeScript({
+            target: { tabId: tabId },
+            func: runExtractors,
+            args: [extractors, MAX_EXTRACTED_LENGTH, MAX_EXTRACTED_MATCHES],
+          })
+          .catch((error) => {
+            console.error("Extractors failed:", error);
+            return null;
+          })
+      : Promise.resolve(null);
+
+  // Link captures can also describe where the link goes
+  const linkTarget =
+    type === "link" && captureOptions.unfurl
+      ? unfurlLink(urlToSend)
+      : Promise.resolve(null);
+
+  // Execute scripts: one for page data, one for screen resolution, one for window size, one for page metadata, and the article, selection or extractors if needed.
+  // They only read the page, so they can run while a full-page screenshot scrolls it.
+  return Promise.all([
+    chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: codeToExecute,
+      args: [urlToSend],
+    }),
+    chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: getScreenResolution,
+    }),
+    chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: getWindowSize,
+    }),
+    chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: extractPageMetadata,
+    }),
+    articleExtraction,
+    selectionExtraction,
+    extraction,
+    linkTarget,
+    screenshots,
+  ]).then(
+    ([
+      injectionResults,
+      resolutionResults,
+      windowResults,
+      metadataResults,
+      articleResults,
+      selectionResults,
+      extractionResults,
+      target,
+      screenshotsTaken,
+    ]) => {
+      if (chrome.runtime.lastError) {
+        console.error(
+          "Script injection failed:",
+          chrome.runtime.lastError.message,
+        );
+      }
+      const extractedData = injectionResults?.[0]
+        ? injectionResults[0].result
+        : null;
+      const screenResolution = resolutionResults?.[0]
+        ? resolutionResults[0].result
+        : { screenWidth: null, screenHeight: null };
+      const windowSize = windowResults?.[0]
+        ? windowResults[0].result
+        : { windowWidth: null, windowHeight: null };
+      const metadata = metadataResults?.[0]?.result || null;
+      const article = articleResults?.[0]?.result || null;
+      const selection = buildSelection(
+        selectionResults?.[0]?.[0]?.result || null,
+        selectionResults?.[1]?.[0]?.result || null,
+      );
+      const extractions = {};
+      extractionResults?.[0]?.result?.forEach(({ value, error }, index) => {
+        if (error) {
+          console.error(`Extractor "${extractors[index].name}" failed:`, error);
+        }
+        extractions[extractorKey(extractors[index])] = value;
+      });
+
+      // Get browser, OS, and device type using chrome.runtime and navigator.userAgent
+      return new Promise((resolve) => {
+        chrome.runtime.getPlatformInfo((platformInfo) => {
+          const browserInfo = navigator.userAgent;
+          const os = platformInfo.os || "Unknown OS";
+          const browserVersion = browserInfo.match(/(Chrome)\/([0-9.]+)/)
+            ? `${browserInfo.match(/(Chrome)\/([0-9.]+)/)[0]}`
+            : browserInfo; // Fallback to full user agent if Chrome version not found
+
+          // Simple device type detection (can be more robust if needed)
+          const deviceType =
+            navigator.userAgent.match(/Mobi/) ||
+            navigator.userAgent.match(/Android/i) ||
+            navigator.userAgent.match(/iPhone|iPad|iPod/i)
+              ? "Mobile"
+              : screenResolution.screenWidth &&
+                  screenResolution.screenWidth <= 768
+                ? "Tablet"
+                : "Desktop";
+
+          // Build enhanced payload; the id doubles as the Idempotency-Key for every retry
+          const payload = {
+            id: crypto.randomUUID(),
+            url: urlToSend,
+            pageUrl,
+            type,
+            timestamp: new Date().toISOString(),
+            title: extractedData?.title || null,
+            description: extractedData?.description || null,
+            keywords: extractedData?.keywords || null,
+            favicon: extractedData?.favicon || null,
+            linkTitle: extractedData?.linkTitle || null,
+            altText: extractedData?.altText || null,
+            customFields: customFields ?? null,
+            selectedText: selectionText,
+            browser: browserVersion,
+            operatingSystem: os,
+            deviceType: deviceType,
+            screenResolution: screenResolution.screenWidth
+              ? `${screenResolution.screenWidth}x${screenResolution.screenHeight}`
+              : null,
+            windowSize: windowSize.windowWidth
+              ? `${windowSize.windowWidth}x${windowSize.windowHeight}`
+              : null,
+            metadata,
+          };
+          if (article) payload.article = article;
+          if (selection) payload.selection = selection;
+          if (target) payload.target = target;
+          if (Object.keys(extractions).length > 0) {
+            payload.extractions = extractions;
+          }
+          if (Object.keys(screenshotsTaken).length > 0) {
+            payload.screenshots = screenshotsTaken;
+          }
+          resolve(payload);
+        });
+      });
+    },
+  );
+}
+
+/**
+ * Builds the payload's `selection` from the converted selection and its context.
+ *
+ * @param {{blocks: Array<{text: string, markdown: string, html: string}>, truncated: boolean}|null} content - The selection converted by `extractArticle`.
+ * @param {object|null} context - The result of `extractSelectionContext`.
+ * @returns {object|null} The `selection` object for the payload, or null when the selection could not be read (for example inside a frame).
+ */
+function buildSelection(content, context) {
+  if (!context) return null;
+  const { text, ...surroundings } = context;
+  return {
+    text,
+    html: content ? content.blocks.map((block) => block.html).join("\n") : null,
+    markdown: content
+      ? content.blocks.map((block) => block.markdown).join("\n\n")
+      : null,
+    truncated: content?.truncated || false,
+    ...surroundings,
+  };
+}
+
+/**
+ * Works out the optional extras a capture needs for the webhooks it goes to, so a
+ * group capture is extracted once for all of its members.
+ *
+ * @param {Array<object>} webhooks - The webhooks the capture will be sent to.
+ * @returns {{articleMaxLength: number, screenshots: Array<{mode: string, format: string}>, extractors: Array<object>, unfurl: boolean}}
+ *   The largest article size cap any of them asked for (0 for none), the distinct screenshots and extractors they want,
+ *   and whether any of them unfurls links.
+ */
+function captureOptionsFor(webhooks) {
+  const screenshots = webhooks
+    .map((webhook) => webhook.screenshot)
+    .filter(Boolean)
+    .filter(
+      (settings, index, list) =>
+        list.findIndex(
+          (other) => screenshotKey(other) === screenshotKey(settings),
+        ) === index,
+    );
+  return {
+    articleMaxLength: Math.max(
+      0,
+      ...webhooks
+        .filter((webhook) => webhook.article)
+        .map(
+          (webhook) => webhook.article.maxLength || DEFAULT_ARTICLE_MAX_LENGTH,
+        ),
+    ),
+    screenshots,
+    extractors: webhooks
+      .flatMap((webhook) => webhook.extractors || [])
+      .filter(
+        (extractor, index, list) =>
+          list.findIndex(
+            (other) => extractorKey(other) === extractorKey(extractor),
+          ) === index,
+      ),
+    unfurl: webhooks.some((webhook) => webhook.unfurl),
+  };
+}
+
+/**
+ * Builds the payload's `article` from the extracted blocks, cut at a block boundary
+ * so its HTML fits the webhook's size cap.
+ *
+ * @param {{title: string|null, blocks: Array<{text: string, markdown: string, html: string}>, wordCount: number, truncated: boolean}} extracted - The result of `extractArticle`.
+ * @param {number} maxLength - The most HTML characters to include.
+ * @returns {object} The `article` object for the payload.
+ */
+function buildArticle(extracted, maxLength) {
+  let length = 0;
+  const blocks = extracted.blocks.filter((block) => {
+    length += block.html.length;
+    return length <= maxLength;
+  });
+  return {
+    title: extracted.title,
+    text: blocks.map((block) => block.text).join("\n\n"),
+    markdown: blocks.map((block) => block.markdown).join("\n\n"),
+    html: blocks.map((block) => block.html).join("\n"),
+    wordCount: extracted.wordCount,
+    readingTime: Math.max(
+      1,
+      Math.round(extracted.wordCount / READING_WORDS_PER_MINUTE),
+    ),
+    truncated: extracted.truncated || blocks.length < extracted.blocks.length,
+  };
+}
+
+/**
+ * Tailors a capture extracted for several webhooks to one of them: the article is
+ * kept only if this webhook asked for it, cut to its own size cap, the webhook
+ * gets the one screenshot matching its settings, `extracted` holds the results
+ * of its own extractors under the names it gave them, and the link `target` is kept
+ * only if it unfurls links.
+ *
+ * @param {object} webhook - The stored webhook configuration.
+ * @param {object} payload - The capture payload.
+ * @returns {object} The payload to send to this webhook.
+ */
+function fitCaptureToWebhook(webhook, payload) {
+  const { article, screenshots, extractions, target, ...rest } = payload;
+  const fitted = { ...rest };
+  if (article && webhook.article) {
+    fitted.article = buildArticle(
+      article,
+      webhook.article.maxLength || DEFAULT_ARTICLE_MAX_LENGTH,
+    );
+  }
+  const screenshot =
+    webhook.screenshot && screenshots?.[screenshotKey(webhook.screenshot)];
+  if (screenshot) {
+    fitted.screenshot = screenshot;
+  }
+  const extracted = Object.fromEntries(
+    (webhook.extractors || [])
+      .filter(
+        (extractor) => extractions?.[extractorKey(extractor)] !== undefined,
+      )
+      .map((extractor) => [
+        extractor.name,
+        extractions[extractorKey(extractor)],
+      ]),
+  );
+  if (Object.keys(extracted).length > 0) {
+    fitted.extracted = extracted;
+  }
+  if (target && webhook.unfurl) {
+    fitted.target = target;
+  }
+  return fitted;
+}
+
+/**
+ * Sends an extracted capture to a webhook: applies its duplicate window, downloads
+ * media when the webhook attaches it, and adds the capture to the webhook's queue.
+ *
+ * @param {object} webhook - The stored webhook configuration to send data to.
+ * @param {object} payload - The capture payload.
+ * @param {string|null} [groupRunId=null] - The group run the capture belongs to, if it was sent to a group.
+ * @param {Map<number, Promise<object>>} [mediaDownloads] - Downloads shared by the members of a group, keyed by size cap.
+ */
+function deliverCapture(
+  webhook,
+  payload,
+  groupRunId = null,
+  mediaDownloads = new Map(),
+) {
+  payload = fitCaptureToWebhook(webhook, payload);
+  const { url: urlToSend, type } = payload;
+  checkDuplicateCapture(webhook, payload).then((previous) => {
+    const webhookName = webhook.name || "Webhook";
+    const ago = previous && formatDelay(Date.now() - previous.sentAt);
+    if (previous && webhook.dedup.mode === "skip") {
+      console.log("Skipped duplicate capture of", urlToSend);
+      if (groupRunId) {
+        settleGroupMember(groupRunId, webhook.id, {
+          outcome: "skipped",
+          detail: `already sent ${ago} ago`,
+        });
+        return;
+      }
+      showNotification(
+        `⏭️ ${webhookName} - Duplicate Skipped`,
+        `This ${type} was already sent ${ago} ago.`,
+        false,
+      );
+      return;
+    }
+    if (previous && !groupRunId) {
+      showNotification(
+        `⚠️ ${webhookName} - Possible Duplicate`,
+        `This ${type} was already sent ${ago} ago. Sending it again.`,
+        false,
+      );
+    }
+
+    const attachMedia = webhook.attachMedia;
+    if (
+      (type === "image" || type === "video") &&
+      attachMedia?.mode &&
+      attachMedia.mode !== "off"
+    ) {
+      // Download now: auth-protected and short-lived media URLs may be gone
+      // by the time the receiver (or a rate-limited queue) gets to them
+      const maxBytes = attachMedia.maxBytes || DEFAULT_MEDIA_MAX_BYTES;
+      if (!mediaDownloads.has(maxBytes)) {
+        mediaDownloads.set(maxBytes, downloadMedia(urlToSend, maxBytes));
+      }
+      mediaDownloads.get(maxBytes).then((media) => {
+        addToQueue(webhook, { ...payload, media }, groupRunId);
+      });
+      return;
+    }
+
+    addToQueue(webhook, payload, groupRunId);
+  });
+}
+
+/**
+ * Looks up the members of a webhook group among the stored webhooks.
+ * Members are stored by webhook id; ones whose webhook was deleted are left out.
+ *
+ * @param {object} group - The stored group (`name` and member `webhooks` ids).
+ * @param {Array<object>} webhooks - The stored webhooks.
+ * @returns {Array<object>} The member webhook configurations.
+ */
+function resolveGroupMembers(group, webhooks) {
+  return group.webhooks
+    .map((id) => webhooks.find((webhook) => webhook.id === id))
+    .filter(Boolean);
+}
+
+/**
+ * Extracts a capture once and sends it to every member of a webhook group, each
+ * through its own queue, rate limit, template and retries. Members report their
+ * outcome to a group run, which shows one combined notification once all have finished.
+ *
+ * @param {object} group - The stored group.
+ * @param {Array<object>} members - The member webhook configurations.
+ * @param {string} urlToSend - The URL related to the context (e.g., page URL, link URL, image URL).
+ * @param {'page'|'link'|'image'|'video'|'selection'} type - The context type of the data.
+ * @param {number} tabId - The ID of the tab where the action originated.
+ * @param {string|null} selectionText - The selected text, if the context is 'selection'.
+ * @param {Object} customFields - Any additional user-provided content from the custom fields.
+ * @param {string} pageUrl - The URL of the page where the context menu was clicked.
+ * @param {Object<string, object>|null} [screenshotsTaken=null] - Screenshots already taken when the custom fields modal was shown.
+ */
+function extractDataAndSendToGroup(
+  group,
+  members,
+  urlToSend,
+  type,
+  tabId,
+  selectionText,
+  customFields,
+  pageUrl,
+  screenshotsTaken = null,
+) {
+  if (members.length === 0) {
+    showNotification(
+      `❌ ${group.name} - Empty Group`,
+      "None of this group's webhooks exist anymore. Edit the group in the popup.",
+      false,
+    );
+    return;
+  }
+
+  extractCapture(urlToSend, type, tabId, selectionText, customFields, pageUrl, {
+    ...captureOptionsFor(members),
+    screenshotsTaken,
+  }).then(
+    (payload) => {
+      const groupRunId = crypto.randomUUID();
+      const mediaDownloads = new Map();
+      updateGroupRuns((runs) => ({
+        ...runs,
+        [groupRunId]: {
+          name: group.name,
+          startedAt: Date.now(),
+          members: members.map((webhook) => ({
+            id: webhook.id,
+            name: webhook.name || "Webhook",
+            outcome: null,
+          })),
+        },
+      })).then(() => {
+        members.forEach((webhook) => {
+          deliverCapture(webhook, { ...payload }, groupRunId, mediaDownloads);
+        });
+      });
+    },
+    (error) => {
+      // Nothing was queued, so every member failed without a dead letter
+      console.error("Capture failed:", error);
+      showGroupNotification({
+        name: group.name,
+        members: members.map((webhook) => ({
+          id: webhook.id,
+          name: webhook.name || "Webhook",
+          outcome: "failed",
+          detail: `Could not read this page: ${error.message}`,
+          deadLetter: false,
+        })),
+      });
+    },
+  );
+}
+
+/**
+ * Updates the stored group runs. Writes are chained so members finishing at the
+ * same time do not overwrite each other. Runs older than a day are dropped, in case
+ * a member's delivery was lost (for example when its queue was cleared).
+ *
+ * @param {Function} update - Receives the stored runs keyed by run ID and returns the new runs.
+ * @returns {Promise<void>} Resolves once the new runs are saved.
+ */
+function updateGroupRuns(update) {
+  groupRunWrites = groupRunWrites.then(
+    () =>
+      new Promise((resolve) => {
+        chrome.storage.local.get({ [GROUP_RUN_STORAGE_KEY]: {} }, (data) => {
+          const cutoff = Date.now() - GROUP_RUN_MAX_AGE_MS;
+          const runs = Object.fromEntries(
+            Object.entries(update(data[GROUP_RUN_STORAGE_KEY])).filter(
+              ([, run]) => run.startedAt >= cutoff,
+            ),
+          );
+          chrome.storage.local.set({ [GROUP_RUN_STORAGE_KEY]: runs }, () => {
+            if (chrome.runtime.lastError) {
+              console.error(
+                "Failed to update group runs:",
+                chrome.runtime.lastError.message,
+              );
+            }
+            resolve();
+          });
+        });
+      }),
+  );
+  return groupRunWrites;
+}
+
+/**
+ * Records a group member's final outcome and, once every member has finished,
+ * removes the run and shows the combined notification.
+ *
+ * @param {string} groupRunId - The ID of the group run.
+ * @param {string} webhookId - The member webhook's id.
+ * @param {{outcome: string, detail?: string, message?: string|null, link?: string|null, copyValue?: string|null}} result - The member's outcome.
+ */
+function settleGroupMember(groupRunId, webhookId, result) {
+  let finished = null;
+  updateGroupRuns((runs) => {
+    const run = runs[groupRunId];
+    if (!run) return runs;
+
+    const member = run.members.find(
+      (candidate) => candidate.id === webhookId && !candidate.outcome,
+    );
+    if (member) Object.assign(member, result);
+    if (run.members.some((candidate) => !candidate.outcome)) return runs;
+
+    finished = run;
+    const { [groupRunId]: _finished, ...remaining } = runs;
+    return remaining;
+  }).then(() => {
+    if (finished) showGroupNotification(finished);
+  });
+}
+
+/**
+ * Reports a queue item's final outcome to its group run, if it belongs to one.
+ *
+ * @param {object} item - The queue item.
+ * @param {object} result - The member's outcome, as passed to `settleGroupMember`.
+ * @returns {boolean} True when the item is part of a group, so its own notification should be skipped.
+ */
+function reportToGroup(item, result) {
+  if (!item.groupRunId) return false;
+  settleGroupMember(item.groupRunId, item.webhook.id, result);
+  return true;
+}
+
+/**
+ * Shows one notification summarising every member of a finished group run, with
+ * the first returned link as an Open button and the first returned value copied.
+ *
+ * @param {object} run - The finished group run.
+ */
+function showGroupNotification(run) {
+  const icons = {
+    delivered: "✅",
+    failed: "❌",
+    canceled: "🚫",
+    skipped: "⏭️",
+    batched: "📥",
+  };
+  const delivered = run.members.filter(
+    (member) => member.outcome === "delivered",
+  );
+  const lines = run.members.map((member) => {
+    const detail =
+      member.outcome === "delivered"
+        ? member.message
+        : member.detail || member.outcome;
+    return `${icons[member.outcome]} ${member.name}${detail ? `: ${clipText(detail, 80)}` : ""}`;
+  });
+
+  // Skipped, batched and canceled members did not fail, so only failures lower the status
+  const failed = run.members.filter((member) => member.outcome === "failed");
+  const status = failed.length === 0 ? "✅" : delivered.length > 0 ? "⚠️" : "❌";
+  if (failed.some((member) => member.deadLetter !== false)) {
+    lines.push("Failed deliveries were saved to dead letters for replay.");
+  }
+  const title = `${status} ${run.name} - ${delivered.length} of ${run.members.length} delivered`;
+  const link = delivered.find((member) => member.link)?.link || null;
+  const copyValue =
+    delivered.find((member) => member.copyValue)?.copyValue || null;
+
+  (copyValue ? copyToClipboard(copyValue) : Promise.resolve(false)).then(
+    (copied) => {
+      if (copied) {
+        lines.push(`Copied "${clipText(copyValue, 60)}" to the clipboard.`);
+      }
+      showLinkNotification(title, lines.join("\n"), link);
+    },
+  );
+}
+
+/**
+ * Checks whether the same capture (`url`, `type` and `selectedText`) was sent to a
+ * webhook within its duplicate window, and remembers this capture for later checks.
+ * Skipped captures are not remembered, so the window is counted from the last one sent.
+ *
+ * @param {object} webhook - The stored webhook configuration, with an optional `dedup` setting.
+ * @param {object} payload - The capture payload.
+ * @returns {Promise<{key: string, id: string, sentAt: number}|null>} The earlier capture, or null when this one is new or the window is off.
+ */
+function checkDuplicateCapture(webhook, payload) {
+  const windowMs = (webhook.dedup?.window || 0) * 1000;
+  if (windowMs <= 0) return Promise.resolve(null);
+
+  const key = JSON.stringify([
+    payload.url,
+    payload.type,
+    payload.selectedText || "",
+  ]);
+  duplicateChecks = duplicateChecks.then(
+    () =>
+      new Promise((resolve) => {
+        chrome.storage.local.get(
+          { [RECENT_CAPTURES_STORAGE_KEY]: {} },
+          (data) => {
+            const now = Date.now();
+            const recentCaptures = data[RECENT_CAPTURES_STORAGE_KEY];
+            const recent = (recentCaptures[queueKey(webhook)] || []).filter(
+              (capture) => now - capture.sentAt < windowMs,
+            );
+            const previous =
+              recent.find((capture) => capture.key === key) || null;
+
+            if (!previous || webhook.dedup.mode !== "skip") {
+              recent.push({ key, id: payload.id, sentAt: now });
+            }
+            recentCaptures[queueKey(webhook)] = recent;
+            chrome.storage.local.set(
+              { [RECENT_CAPTURES_STORAGE_KEY]: recentCaptures },
+              () => resolve(previous),
+            );
+          },
+        );
+      }),
+  );
+  return duplicateChecks;
+}
+
+/**
+ * Reads a response body into memory, aborting as soon as it grows past the size cap.
+ *
+ * @param {Response} response - The response to read.
+ * @param {number} maxBytes - The maximum number of bytes to accept.
+ * @returns {Promise<Uint8Array>} The response bytes.
+ */
+function readResponseBytes(response, maxBytes) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  function read() {
+    return reader.read().then(({ done, value }) => {
+      if (done) return concatBytes(chunks);
+
+      size += value.byteLength;
+      if (size > maxBytes) {
+        reader.cancel();
+        throw new Error(`Media is larger than the ${maxBytes} byte limit`);
+      }
+      chunks.push(value);
+      return read();
+    });
+  }
+
+  return read();
+}
+
+/**
+ * Joins byte arrays into one.
+ *
+ * @param {Array<Uint8Array>} chunks - The byte arrays to join.
+ * @returns {Uint8Array} The joined bytes.
+ */
+function concatBytes(chunks) {
+  const bytes = new Uint8Array(
+    chunks.reduce((total, chunk) => total + chunk.byteLength, 0),
+  );
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+}
+
+/**
+ * Guesses a file name for downloaded media from its URL and MIME type.
+ *
+ * @param {string} srcUrl - The media URL.
+ * @param {string} mimeType - The media MIME type.
+ * @returns {string} The file name.
+ */
+function mediaFileName(srcUrl, mimeType) {
+  try {
+    const name = decodeURIComponent(
+      new URL(srcUrl).pathname.split("/").pop() || "",
+    );
+    if (/^[^/\\]+\.[a-z0-9]+$/i.test(name)) return name;
+  } catch {
+    // Fall through to a generic name for data: URLs and odd paths
+  }
+  const extension = mimeType.split("/")[1]?.split("+")[0] || "bin";
+  return `media.${extension}`;
+}
+
+/**
+ * Downloads image or video bytes so they can be attached to the payload.
+ * The download uses the browser's cookies for the media's site, so media behind
+ * a login still works. Any failure (HTTP error, size cap, blob: URLs) falls back
+ * to a URL-only entry with the reason in `error`.
+ *
+ * @param {string} srcUrl - The media URL from the context menu.
+ * @param {number} maxBytes - The maximum media size to attach.
+ * @returns {Promise<object>} The `media` payload entry: url, fileName, mimeType, size, sha256 and base64 `data`, or url and `error`.
+ */
+function downloadMedia(srcUrl, maxBytes) {
+  return fetch(srcUrl, { credentials: "include" })
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`Download failed with HTTP ${response.status}`);
+      }
+      const declaredSize = Number(response.headers.get("Content-Length"));
+      if (declaredSize > maxBytes) {
+        throw new Error(`Media is larger than the ${maxBytes} byte limit`);
+      }
+
+      const mimeType =
+        response.headers.get("Content-Type")?.split(";")[0].trim() ||
+        "application/octet-stream";
+      return readResponseBytes(response, maxBytes).then((bytes) =>
+        crypto.subtle.digest("SHA-256", bytes).then((hash) => ({
+          url: srcUrl,
+          fileName: mediaFileName(srcUrl, mimeType),
+          mimeType,
+          size: bytes.byteLength,
+          sha256: toHex(hash),
+          data: bytesToBase64(bytes),
+        })),
+      );
+    })
+    .catch((error) => {
+      console.error("Media download failed, sending URL only:", error);
+      return { url: srcUrl, error: error.message };
+    });
+}
+
+/**
+ * Reads the start of a response body, up to the size cap, and cancels the rest.
+ *
+ * @param {Response} response - The response to read.
+ * @param {number} maxBytes - The most bytes to read.
+ * @returns {Promise<Uint8Array>} The first bytes of the response.
+ */
+function readResponsePrefix(response, maxBytes) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  function read() {
+    return reader.read().then(({ done, value }) => {
+      if (done) return concatBytes(chunks);
+
+      chunks.push(value.subarray(0, maxBytes - size));
+      size += value.byteLength;
+      if (size >= maxBytes) {
+        reader.cancel();
+        return concatBytes(chunks);
+      }
+      return read();
+    });
+  }
+
+  return read();
+}
+
+/**
+ * Fetches a link's target to describe where it goes: the final URL after redirects,
+ * the content type and, for HTML pages, the title, description, Open Graph image and
+ * site name. The request is sent without cookies, so links with side effects (such as
+ * "Log out") do not act on the user's session, and only the first part of the page is
+ * read. Any failure returns the URL with the reason in `error`.
+ *
+ * @param {string} linkUrl - The link URL from the context menu.
+ * @returns {Promise<object>} The `target` payload entry.
+ */
+function unfurlLink(linkUrl) {
+  if (!/^https?:/i.test(linkUrl)) {
+    return Promise.resolve({
+      url: linkUrl,
+      error: "Only http and https links can be fetched",
+    });
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), UNFURL_TIMEOUT_MS);
+
+  return fetch(linkUrl, {
+    credentials: "omit",
+    headers: { Accept: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.8" },
+    signal: controller.signal,
+  })
+    .then((response) => {
+      const contentTypeHeader = response.headers.get("Content-Type");
+      const target = {
+        url: linkUrl,
+        finalUrl: response.url || linkUrl,
+        redirected: response.redirected,
+        status: response.status,
+        contentType:
+          contentTypeHeader?.split(";")[0].trim().toLowerCase() || null,
+        title: null,
+        description: null,
+        image: null,
+        siteName: null,
+      };
+      if (!response.ok) {
+        response.body?.cancel();
+        return { ...target, error: `HTTP ${response.status}` };
+      }
+      if (
+        !["text/html", "application/xhtml+xml"].includes(target.contentType)
+      ) {
+        // PDFs, images and other files are described by their headers only
+        response.body?.cancel();
+        return target;
+      }
+
+      return readResponsePrefix(response, UNFURL_MAX_BYTES).then((bytes) => ({
+        ...target,
+        ...parseLinkPreview(
+          decodeHtmlBytes(bytes, contentTypeHeader),
+          target.finalUrl,
+        ),
+      }));
+    })
+    .catch((error) => {
+      console.error("Link unfurl failed:", error);
+      return {
+        url: linkUrl,
+        error:
+          error.name === "AbortError"
+            ? `Timed out after ${formatDelay(UNFURL_TIMEOUT_MS)}`
+            : error.message,
+      };
+    })
+    .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Decodes HTML bytes using the charset from the Content-Type header or a
+ * `<meta charset>` near the top of the page, falling back to UTF-8.
+ *
+ * @param {Uint8Array} bytes - The HTML bytes.
+ * @param {string|null} contentTypeHeader - The response's Content-Type header.
+ * @returns {string} The decoded HTML.
+ */
+function decodeHtmlBytes(bytes, contentTypeHeader) {
+  const start = new TextDecoder("latin1").decode(bytes.subarray(0, 1024));
+  const charset =
+    contentTypeHeader?.match(/charset=["']?([\w-]+)/i)?.[1] ||
+    start.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1] ||
+    "utf-8";
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    // Unknown charset labels
+    return new TextDecoder().decode(bytes);
+  }
+}
+
+/**
+ * Reads a page's title, description, lead image and site name from its HTML head,
+ * preferring Open Graph tags, then Twitter Cards, then the plain `<title>` and
+ * description. The background worker has no DOM parser, so tags are matched as text.
+ *
+ * @param {string} html - The start of the page's HTML.
+ * @param {string} baseUrl - The page's final URL, to make the image URL absolute.
+ * @returns {{title: string|null, description: string|null, image: string|null, siteName: string|null}} The link preview.
+ */
+function parseLinkPreview(html, baseUrl) {
+  const head = html.split(/<\/head\s*>/i)[0];
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseTagAttributes(tag);
+    const key = (attributes.property || attributes.name || "").toLowerCase();
+    if (key && attributes.content && !(key in meta)) {
+      meta[key] = decodeHtmlEntities(attributes.content).trim();
+    }
+  }
+  const title = head.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  const image =
+    meta["og:image"] ||
+    meta["og:image:url"] ||
+    meta["og:image:secure_url"] ||
+    meta["twitter:image"];
+
+  let imageUrl = null;
+  try {
+    const url = image && new URL(image, baseUrl);
+    if (url && /^https?:$/.test(url.protocol)) imageUrl = url.href;
+  } catch {
+    // Leave out images whose URL cannot be parsed
+  }
+
+  return {
+    title:
+      meta["og:title"] ||
+      meta["twitter:title"] ||
+      (title && decodeHtmlEntities(title).replace(/\s+/g, " ").trim()) ||
+      null,
+    description:
+      meta["og:description"] ||
+      meta.description ||
+      meta["twitter:description"] ||
+      null,
+    image: imageUrl,
+    siteName: meta["og:site_name"] || null,
+  };
+}
+
+/**
+ * Parses the attributes of an HTML start tag.
+ *
+ * @param {string} tag - The tag, e.g. `<meta property="og:title" content="Hi">`.
+ * @returns {Object<string, string>} The attribute values keyed by lowercase name.
+ */
+function parseTagAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(
+    /([^\s"'<>/=]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g,
+  )) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attributes;
+}
+
+/**
+ * Decodes numeric and common named character references.
+ *
+ * @param {string} text - Text from HTML source.
+ * @returns {string} The decoded text.
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code.startsWith("#")) {
+      const codePoint = /^#x/i.test(code)
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      try {
+        return String.fromCodePoint(codePoint);
+      } catch {
+        return entity;
+      }
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * The key a screenshot is stored under in a capture. Group members that want the
+ * same mode and format share one screenshot.
+ *
+ * @param {{mode: string, format: string}} settings - The webhook's screenshot settings.
+ * @returns {string} The screenshot key.
+ */
+function screenshotKey(settings) {
+  return `${settings.mode}:${settings.format}`;
+}
+
+/**
+ * Takes the screenshots a capture needs, one after another, since full-page
+ * screenshots scroll the tab.
+ *
+ * @param {number} tabId - The ID of the tab to capture.
+ * @param {Array<{mode: string, format: string}>} settingsList - The distinct screenshot settings to take.
+ * @param {string} type - The capture type, used to find the right-clicked element.
+ * @param {string} urlToSend - The URL related to the context, used to find the right-clicked element.
+ * @returns {Promise<Object<string, object>>} The screenshots keyed by `screenshotKey`.
+ */
+function takeScreenshots(tabId, settingsList, type, urlToSend) {
+  const screenshots = {};
+  return settingsList
+    .reduce(
+      (previous, settings) =>
+        previous.then(() =>
+          takeScreenshot(tabId, settings, type, urlToSend).then(
+            (screenshot) => {
+              screenshots[screenshotKey(settings)] = screenshot;
+            },
+          ),
+        ),
+      Promise.resolve(),
+    )
+    .then(() => screenshots);
+}
+
+/**
+ * Takes one screenshot of a tab: the visible area, the full page stitched from
+ * scrolled frames, or the visible area cropped to the right-clicked element or selection.
+ * A failed screenshot is reported in `error` so the rest of the capture is still sent.
+ *
+ * @param {number} tabId - The ID of the tab to capture.
+ * @param {{mode: 'visible'|'fullPage'|'element', format: 'png'|'jpeg'}} settings - The screenshot settings.
+ * @param {string} type - The capture type.
+ * @param {string} urlToSend - The URL related to the context.
+ * @returns {Promise<object>} The `screenshot` payload entry: mode, fileName, mimeType, width, height, size, sha256, truncated and base64 `data`, or mode and `error`.
+ */
+function takeScreenshot(tabId, settings, type, urlToSend) {
+  const mimeType = settings.format === "jpeg" ? "image/jpeg" : "image/png";
+  return chrome.tabs
+    .get(tabId)
+    .then((tab) => {
+      if (settings.mode === "fullPage") return captureFullPage(tab);
+      if (settings.mode === "element") {
+        return captureElement(tab, type, urlToSend);
+      }
+      return captureTabFrame(tab.windowId).then((bitmap) => ({
+        canvas: cropFrame(bitmap, 0, 0, bitmap.width, bitmap.height),
+        mode: "visible",
+        truncated: false,
+      }));
+    })
+    .then(({ canvas, mode, truncated }) =>
+      canvas
+        .convertToBlob({ type: mimeType, quality: SCREENSHOT_JPEG_QUALITY })
+        .then((blob) => blob.arrayBuffer())
+        .then((buffer) =>
+          crypto.subtle.digest("SHA-256", buffer).then((hash) => ({
+            mode,
+            fileName: `screenshot.${settings.format === "jpeg" ? "jpg" : "png"}`,
+            mimeType,
+            width: canvas.width,
+            height: canvas.height,
+            size: buffer.byteLength,
+            sha256: toHex(hash),
+            truncated,
+            data: bytesToBase64(new Uint8Array(buffer)),
+          })),
+        ),
+    )
+    .catch((error) => {
+      console.error("Screenshot failed, sending without it:", error);
+      return { mode: settings.mode, error: error.message };
+    });
+}
+
+/**
+ * Captures what the tab's window currently shows.
+ *
+ * @param {number} windowId - The window whose active tab is captured.
+ * @returns {Promise<ImageBitmap>} The captured frame.
+ */
+function captureTabFrame(windowId) {
+  return chrome.tabs
+    .captureVisibleTab(windowId, { format: "png" })
+    .then((dataUrl) => fetch(dataUrl))
+    .then((response) => response.blob())
+    .then((blob) => createImageBitmap(blob));
+}
+
+/**
+ * Copies part of a captured frame onto a canvas of its own.
+ *
+ * @param {ImageBitmap} bitmap - The captured frame.
+ * @param {number} x - The left edge of the part, in frame pixels.
+ * @param {number} y - The top edge of the part, in frame pixels.
+ * @param {number} width - The width of the part, in frame pixels.
+ * @param {number} height - The height of the part, in frame pixels.
+ * @returns {OffscreenCanvas} The canvas holding the part.
+ */
+function cropFrame(bitmap, x, y, width, height) {
+  const canvas = new OffscreenCanvas(width, height);
+  canvas
+    .getContext("2d")
+    .drawImage(bitmap, x, y, width, height, 0, 0, width, height);
+  return canvas;
+}
+
+/**
+ * Captures the visible area cropped to the right-clicked link, image or video, or the
+ * selection. Falls back to the whole visible area (`mode: "visible"`) when there is
+ * nothing to crop to, such as for page captures.
+ *
+ * @param {chrome.tabs.Tab} tab - The tab to capture.
+ * @param {string} type - The capture type.
+ * @param {string} urlToSend - The URL related to the context.
+ * @returns {Promise<{canvas: OffscreenCanvas, mode: string, truncated: boolean}>} The screenshot.
+ */
+function captureElement(tab, type, urlToSend) {
+  return chrome.scripting
+    .executeScript({
+      target: { tabId: tab.id },
+      func: locateCaptureTarget,
+      args: [type, urlToSend],
+    })
+    .then((results) => {
+      const target = results?.[0]?.result || null;
+      // Give the page a moment to repaint if the element was scrolled into view
+      return wait(target ? 100 : 0)
+        .then(() => captureTabFrame(tab.windowId))
+        .then((bitmap) => {
+          const scale = bitmap.width / (target?.viewportWidth || bitmap.width);
+          const x = Math.max(0, Math.round((target?.left || 0) * scale));
+          const y = Math.max(0, Math.round((target?.top || 0) * scale));
+          const width = Math.min(
+            bitmap.width - x,
+            Math.round((target?.width || 0) * scale),
           );
+          const height = Math.min(
+            bitmap.height - y,
+            Math.round((target?.height || 0) * scale),
+          );
+          if (!target || width <= 0 || height <= 0) {
+            return {
+              canvas: cropFrame(bitmap, 0, 0, bitmap.width, bitmap.height),
+              mode: "visible",
+              truncated: false,
+            };
+          }
+          return {
+            canvas: cropFrame(bitmap, x, y, width, height),
+            mode: "element",
+            truncated: false,
+          };
+        });
+    });
+}
+
+/**
+ * Finds the bounds of what was right-clicked: the selection, or the link, image or video
+ * with the clicked URL, scrolling it into view if it is partly off screen.
+ * Runs in the page through `chrome.scripting.executeScript`, so it cannot use anything
+ * outside its own body.
+ *
+ * @param {string} type - The capture type.
+ * @param {string} url - The link, image or video URL.
+ * @returns {{left: number, top: number, width: number, height: number, viewportWidth: number}|null} The bounds in CSS pixels, or null when there is nothing to crop to.
+ */
+function locateCaptureTarget(type, url) {
+  let rect = null;
+  if (type === "selection") {
+    const selection = window.getSelection();
+    if (selection.rangeCount > 0) {
+      rect = selection.getRangeAt(0).getBoundingClientRect();
+    }
+  } else {
+    const tag = { link: "a", image: "img", video: "video" }[type];
+    const element = tag
+      ? [...document.querySelectorAll(tag)].find(
+          (candidate) =>
+            (tag === "a"
+              ? candidate.href
+              : candidate.currentSrc || candidate.src) === url,
+        )
+      : null;
+    if (element) {
+      rect = element.getBoundingClientRect();
+      if (rect.top < 0 || rect.bottom > window.innerHeight) {
+        element.scrollIntoView({ block: "nearest", behavior: "instant" });
+        rect = element.getBoundingClientRect();
+      }
+    }
+  }
+  if (!rect || rect.width === 0 || rect.height === 0) return null;
+  return {
+    left: rect.left,
+    top: rect.top,
+    width: rect.width,
+    height: rect.height,
+    viewportWidth: window.innerWidth,
+  };
+}
+
+/**
+ * Captures the whole page by scrolling it one screen at a time and stitching the
+ * frames together, up to `MAX_SCREENSHOT_HEIGHT` pixels (`truncated` when the page is
+ * taller). Fixed and sticky elements such as headers are hidden after the first frame
+ * so they do not repeat; they and the scroll position are restored afterwards.
+ *
+ * @param {chrome.tabs.Tab} tab - The tab to capture.
+ * @returns {Promise<{canvas: OffscreenCanvas, mode: string, truncated: boolean}>} The screenshot.
+ */
+function captureFullPage(tab) {
+  const run = (func, args = []) =>
+    chrome.scripting
+      .executeScript({ target: { tabId: tab.id }, func, args })
+      .then((results) => results?.[0]?.result);
+
+  return run(() => ({
+    scrollHeight: document.documentElement.scrollHeight,
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight,
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+  })).then((page) => {
+    let canvas = null;
+    let scale = 1;
+    let truncated = false;
+
+    const captureFrom = (top, frame) =>
+      run(scrollForScreenshot, [top, frame > 0]).then((scrolledTo) =>
+        wait(SCREENSHOT_FRAME_DELAY_MS)
+          .then(() => captureTabFrame(tab.windowId))
+          .then((bitmap) => {
+            if (!canvas) {
+              scale = bitmap.width / page.viewportWidth;
+              const fullHeight = Math.round(page.scrollHeight * scale);
+              truncated = fullHeight > MAX_SCREENSHOT_HEIGHT;
+              canvas = new OffscreenCanvas(
+                bitmap.width,
+                Math.min(fullHeight, MAX_SCREENSHOT_HEIGHT),
+              );
+            }
+            canvas
+              .getContext("2d")
+              .drawImage(bitmap, 0, Math.round(scrolledTo * scale));
+
+            // The page stops scrolling short of `top` once the last screen is reached
+            const next = scrolledTo + page.viewportHeight;
+            if (
+              scrolledTo < top ||
+              next >= page.scrollHeight ||
+              Math.round(next * scale) >= canvas.height
+            ) {
+              return null;
+            }
+            return captureFrom(next, frame + 1);
+          }),
+      );
+
+    return captureFrom(0, 0)
+      .finally(() => run(restoreAfterScreenshot, [page.scrollX, page.scrollY]))
+      .then(() => ({ canvas, mode: "fullPage", truncated }));
+  });
+}
+
+/**
+ * Scrolls the page for the next full-page screenshot frame, hiding fixed and sticky
+ * elements from the second frame on. Runs in the page through `chrome.scripting.executeScript`.
+ *
+ * @param {number} top - The scroll position to capture, in CSS pixels.
+ * @param {boolean} hideFixed - Whether fixed and sticky elements should be hidden.
+ * @returns {number} The scroll position the page actually reached.
+ */
+function scrollForScreenshot(top, hideFixed) {
+  if (hideFixed && !window.superWebhooksHidden) {
+    window.superWebhooksHidden = [...document.body.querySelectorAll("*")]
+      .filter((element) =>
+        ["fixed", "sticky"].includes(getComputedStyle(element).position),
+      )
+      .map((element) => {
+        const visibility = element.style.visibility;
+        element.style.visibility = "hidden";
+        return [element, visibility];
+      });
+  }
+  window.scrollTo({ left: 0, top, behavior: "instant" });
+  return window.scrollY;
+}
+
+/**
+ * Shows the elements hidden by `scrollForScreenshot` again and restores the scroll
+ * position. Runs in the page through `chrome.scripting.executeScript`.
+ *
+ * @param {number} left - The horizontal scroll position to restore.
+ * @param {number} top - The vertical scroll position to restore.
+ */
+function restoreAfterScreenshot(left, top) {
+  (window.superWebhooksHidden || []).forEach(([element, visibility]) => {
+    element.style.visibility = visibility;
+  });
+  delete window.superWebhooksHidden;
+  window.scrollTo({ left, top, behavior: "instant" });
+}
+
+/**
+ * Resolves after a delay.
+ *
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {Promise<void>} Resolves once the delay has passed.
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Displays a basic Chrome notification.
+ *
+ * @param {string} title - The title of the notification.
+ * @param {string} message - The main message content of the notification.
+ * @param {boolean} [isSuccess=true] - Whether the notification indicates success (influences icon, if different).
+ */
+function showNotification(title, message, isSuccess = true) {
+  const iconPath = isSuccess ? "images/icon48.png" : "images/icon48.png"; // Currently same icon for success/failure
+  chrome.notifications.create({
+    type: "basic",
+    iconUrl: iconPath,
+    title: title,
+    message: message,
+  });
+}
+
+/**
+ * Displays and updates a dynamic Chrome notification for a webhook queue.
+ * This notification shows the number of items in the queue and estimated time remaining,
+ * and while the webhook is batching, how full the batch is and when it will be sent.
+ * It updates at a configurable interval and auto-clears after 60 seconds.
+ *
+ * @param {string} key - The queue key of the webhook.
+ * @param {string} webhookName - The name of the webhook for display in the notification.
+ */
+function showQueueNotification(key, webhookName) {
+  const notificationId = `queue_${key}_${Date.now()}`;
+
+  // Clear any existing notification for this webhook
+  clearQueueNotification(key);
+
+  // Get notification interval from settings
+  chrome.storage.local.get(
+    { settings: { notificationInterval: 5 } },
+    (data) => {
+      const updateIntervalMs = (data.settings.notificationInterval || 5) * 1000;
+
+      function updateNotification() {
+        const queueData = webhookQueues.get(key);
+        if (!queueData || (queueData.queue.length === 0 && !queueData.batch)) {
+          clearQueueNotification(key);
+          return;
+        }
+
+        // The last item goes out once the bucket has a token for every queued item
+        const queuePosition = queueData.queue.length;
+        const totalWait = Math.ceil(
+          msUntilTokens(queueData, queuePosition) / 1000,
+        );
+        const queueMessage = queueData.paused
+          ? `${queuePosition} in queue, paused`
+          : `${queuePosition} in queue, ~${totalWait}s remaining${hasFreeRequestSlot() ? "" : " (waiting for other requests to finish)"}`;
+
+        if (queueData.batch) {
+          // A batch with a size limit shows how full it is as a progress bar
+          const size = queueData.batch.webhook.batch?.size;
+          chrome.notifications.create(notificationId, {
+            type: size ? "progress" : "basic",
+            iconUrl: "images/icon48.png",
+            title: `📥 ${webhookName} - Batching`,
+            message: [
+              `Batch: ${describeBatch(queueData.batch)}`,
+              queuePosition > 0 ? queueMessage : "",
+            ]
+              .filter(Boolean)
+              .join("\n"),
+            ...(size && {
+              progress: Math.min(
+                100,
+                Math.round((queueData.batch.items.length / size) * 100),
+              ),
+            }),
+            buttons: [
+              { title: "Flush now" },
+              { title: "Remove latest capture" },
+            ],
+          });
+          return;
         }
+
+        chrome.notifications.create(notificationId, {
+          type: "basic",
+          iconUrl: "images/icon48.png",
+          title: `⏳ ${webhookName} - Queued`,
+          message: queueMessage,
+          buttons: [{ title: "Cancel latest capture" }],
+        });
       }
-    });
+
+      // Initial notification
+      updateNotification();
+
+      // Update at configured interval
+      const intervalId = setInterval(updateNotification, updateIntervalMs);
+
+      queueNotifications.set(key, { notificationId, intervalId });
+
+      // Auto-clear after 60 seconds to prevent indefinite notifications
+      setTimeout(() => clearQueueNotification(key), 60000);
+    },
+  );
+}
+
+/**
+ * Clears a specific queue notification and its associated update interval.
+ *
+ * @param {string} key - The queue key of the webhook whose queue notification should be cleared.
+ */
+function clearQueueNotification(key) {
+  const notification = queueNotifications.get(key);
+  if (notification) {
+    clearInterval(notification.intervalId);
+    chrome.notifications.clear(notification.notificationId);
+    queueNotifications.delete(key);
+  }
+}
+
+/**
+ * Encodes raw bytes as base64.
+ * Converts in chunks so large media files do not overflow the call stack.
+ *
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} The base64-encoded bytes.
+ */
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Encodes a string as base64, handling characters outside the Latin-1 range
+ * that `btoa` would otherwise reject.
+ *
+ * @param {string} value - The string to encode.
+ * @returns {string} The base64-encoded string.
+ */
+function encodeBase64(value) {
+  return bytesToBase64(new TextEncoder().encode(value));
+}
+
+/**
+ * Appends each top-level payload field to a URL's query string.
+ * Null and undefined values are skipped; objects and arrays are JSON encoded.
+ *
+ * @param {URL} url - The URL to append the parameters to.
+ * @param {object} payload - The payload to convert into query parameters.
+ */
+function appendQueryParams(url, payload) {
+  Object.entries(payload).forEach(([key, value]) => {
+    if (value === null || value === undefined) return;
+    url.searchParams.append(
+      key,
+      typeof value === "object" ? JSON.stringify(value) : String(value),
+    );
+  });
+}
+
+/**
+ * The header or query parameter name an API key is sent in, falling back to
+ * `X-API-Key` or `api_key` when the webhook leaves the name blank.
+ *
+ * @param {object} auth - The webhook's `auth` settings, of type `apiKeyHeader` or `apiKeyQuery`.
+ * @returns {string} The header or query parameter name.
+ */
+function apiKeyName(auth) {
+  return (
+    auth.keyName || (auth.type === "apiKeyQuery" ? "api_key" : "X-API-Key")
+  );
+}
+
+/**
+ * Applies a webhook's authentication settings to the outgoing request.
+ *
+ * @param {object|undefined} auth - The webhook's `auth` settings.
+ * @param {Headers} headers - The request headers to add credentials to.
+ * @param {URL} url - The request URL, used for query parameter API keys.
+ */
+function applyAuth(auth, headers, url) {
+  if (!auth) return;
+
+  switch (auth.type) {
+    case "bearer":
+      headers.set("Authorization", `Bearer ${auth.token}`);
+      break;
+    case "basic":
+      headers.set(
+        "Authorization",
+        `Basic ${encodeBase64(`${auth.username}:${auth.password}`)}`,
+      );
+      break;
+    case "apiKeyHeader":
+      headers.set(apiKeyName(auth), auth.keyValue);
+      break;
+    case "apiKeyQuery":
+      url.searchParams.set(apiKeyName(auth), auth.keyValue);
+      break;
+    default:
+      break;
   }
-});
+}
 
-// Listener for messages from the modal
-chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
-  if (request.type === "sendWebhookWithCustomFields") {
-    chrome.storage.local.get("pendingWebhook", (data) => {
-      if (data.pendingWebhook) {
-        const { webhook, info, tabId } = data.pendingWebhook;
-        const customFields = request.customFields;
+/**
+ * Converts an ArrayBuffer into a lowercase hex string.
+ *
+ * @param {ArrayBuffer} buffer - The bytes to convert.
+ * @returns {string} The hex-encoded bytes.
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
 
-        // Determine context and extract data
-        if (info.linkUrl) {
-          extractDataAndSend(
-            webhook.url,
-            info.linkUrl,
-            "link",
-            tabId,
-            null,
-            customFields,
-            info.pageUrl,
-          );
-        } else if (info.srcUrl) {
-          extractDataAndSend(
-            webhook.url,
-            info.srcUrl,
-            info.mediaType === "video" ? "video" : "image",
-            tabId,
-            null,
-            customFields,
-            info.pageUrl,
-          );
-        } else {
-          const type = info.selectionText ? "selection" : "page";
-          extractDataAndSend(
-            webhook.url,
-            info.pageUrl,
-            type,
-            tabId,
-            info.selectionText,
-            customFields,
-            info.pageUrl,
-          );
-        }
+/**
+ * Computes an HMAC-SHA256 of a message using WebCrypto.
+ *
+ * @param {string} secret - The shared signing secret.
+ * @param {string|Uint8Array} message - The message to sign.
+ * @returns {Promise<string>} The hex-encoded signature.
+ */
+function computeHmacSha256(secret, message) {
+  const encoder = new TextEncoder();
+  const messageBytes =
+    typeof message === "string" ? encoder.encode(message) : message;
+  return crypto.subtle
+    .importKey(
+      "raw",
+      encoder.encode(secret),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"],
+    )
+    .then((key) => crypto.subtle.sign("HMAC", key, messageBytes))
+    .then(toHex);
+}
 
-        // Clean up the stored data
-        chrome.storage.local.remove("pendingWebhook");
-        sendResponse({ status: "sent" });
+/**
+ * Signs a request when the webhook has a signing secret.
+ * The signature is an HMAC-SHA256 over `<timestamp>.<raw body>`, where the
+ * timestamp is in Unix seconds and, for `GET` requests, the raw body is the
+ * query string without the leading `?`.
+ *
+ * @param {object|undefined} signing - The webhook's `signing` settings.
+ * @param {{url: string, init: RequestInit}} request - The built request to sign in place.
+ * @returns {Promise<{url: string, init: RequestInit}>} The signed request.
+ */
+function signWebhookRequest(signing, request) {
+  if (!signing?.secret) return Promise.resolve(request);
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const rawBody =
+    request.init.method === "GET"
+      ? new URL(request.url).search.slice(1)
+      : request.init.body;
+  // Binary bodies (multipart with a media file) are signed byte for byte
+  const message =
+    rawBody instanceof Uint8Array
+      ? concatBytes([new TextEncoder().encode(`${timestamp}.`), rawBody])
+      : `${timestamp}.${rawBody}`;
+
+  return computeHmacSha256(signing.secret, message).then((signature) => {
+    request.init.headers.set(
+      signing.timestampHeader || "X-Timestamp",
+      timestamp,
+    );
+    request.init.headers.set(
+      signing.signatureHeader || "X-Signature",
+      `sha256=${signature}`,
+    );
+    return request;
+  });
+}
+
+/**
+ * Picks the Content-Type for a rendered body template:
+ * JSON when the rendered text parses as JSON, plain text otherwise.
+ *
+ * @param {string} body - The rendered template.
+ * @returns {string} The Content-Type header value.
+ */
+function detectTemplateContentType(body) {
+  try {
+    JSON.parse(body);
+    return "application/json";
+  } catch {
+    return "text/plain; charset=utf-8";
+  }
+}
+
+/**
+ * Builds the fetch request for a webhook from its stored request settings:
+ * destination preset, HTTP method, body template, custom headers, authentication
+ * and request signing. Destination presets decide the method and body themselves;
+ * otherwise `GET` sends the payload as query parameters and other methods send
+ * the webhook's rendered body template or the payload in its chosen body encoding.
+ *
+ * @param {object} webhook - The stored webhook configuration.
+ * @param {object} payload - The payload to send.
+ * @returns {Promise<{url: string, init: RequestInit}>} The request URL and fetch options.
+ */
+function buildWebhookRequest(webhook, payload) {
+  return Promise.resolve().then(() => {
+    const destination = DESTINATIONS[webhook.destinationType];
+    let method = WEBHOOK_METHODS.includes(webhook.method)
+      ? webhook.method
+      : "POST";
+    let url = new URL(webhook.url);
+    const headers = new Headers();
+    let body;
+
+    if (destination) {
+      // Destination presets produce the service's native request
+      const adapted = destination.build(payload, webhook);
+      method = adapted.method || "POST";
+      if (adapted.url) {
+        url = new URL(adapted.url);
+      }
+      body =
+        typeof adapted.body === "string"
+          ? adapted.body
+          : JSON.stringify(adapted.body);
+      headers.set("Content-Type", adapted.contentType || "application/json");
+      Object.entries(adapted.headers || {}).forEach(([name, value]) => {
+        headers.set(name, value);
+      });
+    } else if (method === "GET") {
+      appendQueryParams(url, payload);
+    } else if (webhook.bodyTemplate) {
+      body = renderTemplate(webhook.bodyTemplate, payload);
+      headers.set("Content-Type", detectTemplateContentType(body));
+    } else {
+      // Media and screenshots sent as file parts need a multipart body whatever the encoding
+      const encoding =
+        (webhook.attachMedia?.mode === "multipart" && payload.media?.data) ||
+        (webhook.screenshot?.attach === "multipart" && payload.screenshot?.data)
+          ? BODY_ENCODINGS.multipart
+          : BODY_ENCODINGS[webhook.encoding] || BODY_ENCODINGS.json;
+      // A batch is sent as a plain JSON array of its captures
+      const encoded = encoding.encode(
+        payload.type === "batch" && encoding === BODY_ENCODINGS.json
+          ? payload.items
+          : payload,
+      );
+      headers.set("Content-Type", encoded.contentType);
+      body = encoded.body;
+    }
+
+    // Lets receivers drop repeats of a capture that was retried or replayed
+    if (payload.id) {
+      headers.set("Idempotency-Key", payload.id);
+    }
+
+    (webhook.headers || []).forEach((header) => {
+      if (header.name) {
+        headers.set(header.name, header.value);
       }
     });
-  } else if (request.type === "modalCanceled") {
-    // Clean up the stored data if the user cancels
-    chrome.storage.local.remove("pendingWebhook", () => {
-      // This callback ensures storage is cleared before we respond
-      sendResponse({ status: "canceled" });
+
+    // Auth is applied last so it cannot be clobbered by a custom header
+    applyAuth(webhook.auth, headers, url);
+
+    return signWebhookRequest(webhook.signing, {
+      url: url.toString(),
+      init: { method, headers, body },
     });
-  }
-  return true; // Crucial for async sendResponse
-});
+  });
+}
 
 /**
- * Extracts relevant data from the current tab based on the context type
- * (page, link, image, video, selection) and then sends it to the specified webhook.
- * It uses `chrome.scripting.executeScript` to get page-specific details.
+ * Reads a failed response and turns it into a readable reason,
+ * using the destination adapter's knowledge of the service's error format when there is one.
  *
- * @param {string} webhookUrl - The URL of the webhook to send data to.
- * @param {string} urlToSend - The URL related to the context (e.g., page URL, link URL, image URL).
- * @param {'page'|'link'|'image'|'video'|'selection'} type - The context type of the data.
- * @param {number} tabId - The ID of the tab where the action originated.
- * @param {string|null} selectionText - The selected text, if the context is 'selection'.
- * @param {Object} customFields - Any additional user-provided content from the custom fields.
- * @param {string} pageUrl - The URL of the page where the context menu was clicked.
+ * @param {object} webhook - The stored webhook configuration.
+ * @param {Response} response - The non-OK response.
+ * @returns {Promise<string>} The failure reason.
  */
-function extractDataAndSend(
-  webhookUrl,
-  urlToSend,
-  type,
-  tabId,
-  selectionText,
-  customFields,
-  pageUrl,
-) {
-  let codeToExecute;
+function describeFailedResponse(webhook, response) {
+  return response
+    .text()
+    .catch(() => "")
+    .then((text) => {
+      const destination = DESTINATIONS[webhook.destinationType];
+      const described = destination?.describeError(response.status, text);
+      if (described) return described;
 
-  // Function to get screen resolution, executed in content script
-  const getScreenResolution = () => ({
-    screenWidth: window.screen.width,
-    screenHeight: window.screen.height,
+      const json = parseJsonBody(text);
+      const message =
+        typeof json?.message === "string"
+          ? json.message
+          : typeof json?.error === "string"
+            ? json.error
+            : clipText(text.trim(), 120);
+      return message
+        ? `HTTP ${response.status}: ${message}`
+        : `HTTP ${response.status}`;
+    });
+}
+
+/**
+ * Creates the history entry for a delivery attempt of a queue item.
+ *
+ * @param {object} item - The queue item.
+ * @returns {object} The history entry, without the request, response or outcome.
+ */
+function createHistoryEntry(item) {
+  return {
+    id: crypto.randomUUID(),
+    deliveryId: item.id,
+    timestamp: Date.now(),
+    webhook: {
+      id: item.webhook.id,
+      name: item.webhook.name || "Webhook",
+      url: item.webhook.url,
+    },
+    attempt: item.attempts,
+    payload: historyPayload(item.payload),
+    request: null,
+    status: null,
+    latency: null,
+    response: null,
+  };
+}
+
+/**
+ * Prepares a payload for the history log. Downloaded media and screenshot bytes are
+ * left out to keep the log small; resending downloads the media file again, but
+ * sends the screenshot's details without the image.
+ *
+ * @param {object} payload - The delivered payload.
+ * @returns {object} The payload as stored in the history.
+ */
+function historyPayload(payload) {
+  const stored = { ...payload };
+  ["media", "screenshot"].forEach((field) => {
+    if (stored[field]?.data) {
+      const { data: _data, ...details } = stored[field];
+      stored[field] = details;
+    }
   });
+  return stored;
+}
 
-  // Function to get browser window size, executed in content script
-  const getWindowSize = () => ({
-    windowWidth: window.innerWidth,
-    windowHeight: window.innerHeight,
+/**
+ * Summarizes a request for the history log, hiding credentials added by the
+ * webhook's authentication settings and clipping long bodies.
+ *
+ * @param {object} webhook - The stored webhook configuration.
+ * @param {{url: string, init: object}} request - The request from `buildWebhookRequest`.
+ * @returns {{method: string, url: string, headers: object, body: string}} The request summary.
+ */
+function historyRequest(webhook, request) {
+  const auth = webhook.auth || {};
+  const hiddenHeaders = ["authorization"];
+  if (auth.type === "apiKeyHeader") {
+    hiddenHeaders.push(apiKeyName(auth).toLowerCase());
+  }
+
+  const url = new URL(request.url);
+  if (auth.type === "apiKeyQuery" && url.searchParams.has(apiKeyName(auth))) {
+    url.searchParams.set(apiKeyName(auth), "[redacted]");
+  }
+
+  const headers = {};
+  request.init.headers.forEach((value, name) => {
+    headers[name] = hiddenHeaders.includes(name) ? "[redacted]" : value;
   });
 
-  if (type === "page" || type === "selection") {
-    codeToExecute = () => ({
-      title: document.title,
-      description:
-        document
-          .querySelector('meta[name="description"]')
-          ?.getAttribute("content") || null,
-      keywords:
-        document
-          .querySelector('meta[name="keywords"]')
-          ?.getAttribute("content") || null,
-      favicon:
-        document.querySelector('link[rel="icon"]')?.href ||
-        document.querySelector('link[rel="shortcut icon"]')?.href ||
-        null,
-    });
-  } else if (type === "link") {
-    codeToExecute = (...rest) => {
-      let linkTitle = null;
-      const links = document.querySelectorAll("a");
-      for (const link of links) {
-        if (link.href === rest[0]) {
-          linkTitle =
-            link.title ||
-            link.getAttribute("aria-label") ||
-            link.innerText ||
-            null;
+  const { body } = request.init;
+  return {
+    method: request.init.method,
+    url: url.toString(),
+    headers,
+    body:
+      typeof body === "string"
+        ? clipText(body, HISTORY_BODY_LIMIT)
+        : body
+          ? `[binary body, ${body.byteLength} bytes]`
+          : "",
+  };
+}
+
+/**
+ * Updates the stored history log, keeping only the newest entries up to the
+ * history limit from the settings.
+ *
+ * @param {Function} update - Receives the stored entries (newest first) and returns the new list.
+ * @returns {Promise<void>} Resolves once the history is saved.
+ */
+function updateHistory(update) {
+  historyWrites = historyWrites.then(
+    () =>
+      new Promise((resolve) => {
+        chrome.storage.local.get(
+          { [HISTORY_STORAGE_KEY]: [], settings: {} },
+          (data) => {
+            const limit = data.settings.historyLimit ?? DEFAULT_HISTORY_LIMIT;
+            const history = update(data[HISTORY_STORAGE_KEY]).slice(0, limit);
+            chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history }, () => {
+              if (chrome.runtime.lastError) {
+                console.error(
+                  "Failed to update delivery history:",
+                  chrome.runtime.lastError.message,
+                );
+              }
+              resolve();
+            });
+          },
+        );
+      }),
+  );
+  return historyWrites;
+}
+
+/**
+ * Adds a delivery attempt to the history log.
+ *
+ * @param {object} entry - The history entry.
+ */
+function recordDelivery(entry) {
+  updateHistory((history) => [entry, ...history]);
+}
+
+/**
+ * Queues a payload from the history log again, using the webhook's current settings.
+ * Media files are downloaded again when the webhook attaches them.
+ *
+ * @param {string} entryId - The ID of the history entry to resend.
+ * @returns {Promise<{ok: boolean, error?: string}>} Whether the payload was queued.
+ */
+function resendDelivery(entryId) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(
+      { [HISTORY_STORAGE_KEY]: [], webhooks: [] },
+      (data) => {
+        const entry = data[HISTORY_STORAGE_KEY].find(
+          (historyEntry) => historyEntry.id === entryId,
+        );
+        if (!entry) {
+          resolve({ ok: false, error: "History entry not found" });
+          return;
         }
-      }
 
-      return {
-        title: document.title,
-        description:
-          document
-            .querySelector('meta[name="description"]')
-            ?.getAttribute("content") || null,
-        keywords:
-          document
-            .querySelector('meta[name="keywords"]')
-            ?.getAttribute("content") || null,
-        favicon:
-          document.querySelector('link[rel="icon"]')?.href ||
-          document.querySelector('link[rel="shortcut icon"]')?.href ||
-          null,
-        linkTitle,
-      };
-    };
-  } else if (type === "image") {
-    codeToExecute = (...rest) => {
-      let altText = null;
-      const media = document.querySelectorAll("img");
+        const webhook = findStoredWebhook(data.webhooks, entry.webhook);
+        if (!webhook) {
+          resolve({ ok: false, error: "The webhook no longer exists" });
+          return;
+        }
+
+        // A resend is a new delivery, so it gets its own idempotency key
+        const payload = { ...entry.payload, id: crypto.randomUUID() };
+        if (payload.media && !payload.media.error && webhook.attachMedia) {
+          downloadMedia(
+            payload.media.url,
+            webhook.attachMedia.maxBytes || DEFAULT_MEDIA_MAX_BYTES,
+          ).then((media) => {
+            addToQueue(webhook, { ...payload, media });
+            resolve({ ok: true });
+          });
+          return;
+        }
+
+        addToQueue(webhook, payload);
+        resolve({ ok: true });
+      },
+    );
+  });
+}
+
+/**
+ * Updates the stored dead letters. Writes are chained so a failure recorded by
+ * a delivery and an edit from the popup do not overwrite each other.
+ *
+ * @param {Function} update - Receives the stored dead letters (oldest first) and returns the new list.
+ * @returns {Promise<void>} Resolves once the new list is saved.
+ */
+function updateDeadLetters(update) {
+  deadLetterWrites = deadLetterWrites.then(
+    () =>
+      new Promise((resolve) => {
+        chrome.storage.local.get({ [DEAD_LETTER_STORAGE_KEY]: [] }, (data) => {
+          chrome.storage.local.set(
+            {
+              [DEAD_LETTER_STORAGE_KEY]: update(data[DEAD_LETTER_STORAGE_KEY]),
+            },
+            () => {
+              if (chrome.runtime.lastError) {
+                console.error(
+                  "Failed to update dead letters:",
+                  chrome.runtime.lastError.message,
+                );
+              }
+              resolve();
+            },
+          );
+        });
+      }),
+  );
+  return deadLetterWrites;
+}
+
+/**
+ * Moves a permanently failed delivery to the dead letters so it can be inspected,
+ * edited and replayed from the popup instead of being lost.
+ * The full payload is kept, including downloaded media, so a replay sends the same capture.
+ *
+ * @param {object} item - The failed queue item.
+ * @param {string} reason - Why delivery stopped.
+ */
+function addDeadLetter(item, reason) {
+  updateDeadLetters((letters) => [
+    ...letters,
+    {
+      id: item.id,
+      webhook: item.webhook,
+      url: item.webhook.url,
+      payload: item.payload,
+      failedAt: Date.now(),
+      attempts: item.attempts,
+      reason,
+    },
+  ]);
+}
+
+/**
+ * Edits a dead letter's target URL and payload before it is replayed.
+ *
+ * @param {string} id - The ID of the dead letter.
+ * @param {string} url - The URL to deliver to.
+ * @param {object} payload - The payload to deliver.
+ * @returns {Promise<{ok: boolean, error?: string}>} Whether the dead letter was updated.
+ */
+function updateDeadLetter(id, url, payload) {
+  let found = false;
+  return updateDeadLetters((letters) =>
+    letters.map((letter) => {
+      if (letter.id !== id) return letter;
+      found = true;
+      return { ...letter, url, payload };
+    }),
+  ).then(() =>
+    found ? { ok: true } : { ok: false, error: "Dead letter not found" },
+  );
+}
+
+/**
+ * Removes dead letters and queues them again, using the webhook's current settings
+ * (or the settings it failed with, if the webhook has since been deleted) and the
+ * dead letter's possibly edited target URL. Letters that fail again return to the list.
+ *
+ * @param {Array<string>} ids - The IDs of the dead letters to replay.
+ * @returns {Promise<{ok: boolean, count: number}>} How many dead letters were queued.
+ */
+function replayDeadLetters(ids) {
+  const replayed = [];
+  return updateDeadLetters((letters) =>
+    letters.filter((letter) => {
+      if (!ids.includes(letter.id)) return true;
+      replayed.push(letter);
+      return false;
+    }),
+  ).then(
+    () =>
+      new Promise((resolve) => {
+        chrome.storage.local.get({ webhooks: [] }, (data) => {
+          replayed.forEach((letter) => {
+            const webhook =
+              findStoredWebhook(data.webhooks, letter.webhook) ||
+              letter.webhook;
+            addToQueue({ ...webhook, url: letter.url }, letter.payload);
+          });
+          resolve({ ok: true, count: replayed.length });
+        });
+      }),
+  );
+}
+
+/**
+ * Finds the stored webhook a history entry or dead letter was delivered to, so
+ * resends and replays use its current settings. Entries from before webhooks had
+ * an `id` are matched by URL.
+ *
+ * @param {Array<object>} webhooks - The stored webhooks.
+ * @param {{id?: string, url: string}} delivered - The webhook saved with the entry.
+ * @returns {object|undefined} The stored webhook, if it still exists.
+ */
+function findStoredWebhook(webhooks, delivered) {
+  return webhooks.find((stored) =>
+    delivered.id ? stored.id === delivered.id : stored.url === delivered.url,
+  );
+}
+
+/**
+ * Shows the number of dead letters on the extension's action icon, or clears the
+ * badge when there are none.
+ */
+function updateDeadLetterBadge() {
+  chrome.storage.local.get({ [DEAD_LETTER_STORAGE_KEY]: [] }, (data) => {
+    const count = data[DEAD_LETTER_STORAGE_KEY].length;
+    chrome.action.setBadgeBackgroundColor({ color: "#d32f2f" });
+    chrome.action.setBadgeText({ text: count > 0 ? String(count) : "" });
+  });
+}
+
+/**
+ * Resolves the retry policy for a webhook, filling unset values from the defaults.
+ *
+ * @param {object} webhook - The stored webhook configuration.
+ * @returns {{maxAttempts: number, baseDelay: number, factor: number, maxDelay: number, jitter: number}} The retry policy.
+ */
+function resolveRetryPolicy(webhook) {
+  return { ...DEFAULT_RETRY_POLICY, ...webhook.retry };
+}
+
+/**
+ * Determines whether a failed HTTP status is worth retrying.
+ * Server errors, rate limiting (429) and request timeouts (408) are transient;
+ * any other client error means the request itself is wrong and will fail again.
+ *
+ * @param {number} status - The HTTP status code.
+ * @returns {boolean} True when the request should be retried.
+ */
+function isRetryableStatus(status) {
+  return status >= 500 || status === 429 || status === 408;
+}
+
+/**
+ * Parses a `Retry-After` header, given either as seconds or as an HTTP date.
+ *
+ * @param {string|null} value - The header value.
+ * @returns {number|null} The delay in milliseconds, or null when the header is missing or invalid.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
 
-      for (const item of media) {
-        if (item.src === rest[0]) {
-          altText = item.alt || item.title || null;
-        }
-      }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
-      return {
-        title: document.title,
-        description:
-          document
-            .querySelector('meta[name="description"]')
-            ?.getAttribute("content") || null,
-        keywords:
-          document
-            .querySelector('meta[name="keywords"]')
-            ?.getAttribute("content") || null,
-        favicon:
-          document.querySelector('link[rel="icon"]')?.href ||
-          document.querySelector('link[rel="shortcut icon"]')?.href ||
-          null,
-        altText,
-      };
-    };
-  } else if (type === "video") {
-    codeToExecute = (...rest) => {
-      let altText = null;
-      const media = document.querySelectorAll("video");
+/**
+ * Computes the exponential backoff delay before the next attempt:
+ * `baseDelay * factor^(attempt - 1)`, capped at `maxDelay` and then shortened
+ * by a random amount of up to `jitter` percent so retries from many captures spread out.
+ *
+ * @param {object} policy - The resolved retry policy.
+ * @param {number} attempt - The number of attempts made so far.
+ * @returns {number} The delay in milliseconds.
+ */
+function computeRetryDelay(policy, attempt) {
+  const delay = Math.min(
+    policy.maxDelay,
+    policy.baseDelay * policy.factor ** (attempt - 1),
+  );
+  const jitter = (delay * policy.jitter * Math.random()) / 100;
+  return Math.round((delay - jitter) * 1000);
+}
 
-      for (const item of media) {
-        if (item.src === rest[0]) {
-          altText = item.alt || item.title || null;
-        }
-      }
+/**
+ * Formats a delay in milliseconds as a short human readable duration.
+ *
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {string} The duration, e.g. `45s`, `3m` or `2h`.
+ */
+function formatDelay(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  return `${Math.round(seconds / 3600)}h`;
+}
 
-      return {
-        title: document.title,
-        description:
-          document
-            .querySelector('meta[name="description"]')
-            ?.getAttribute("content") || null,
-        keywords:
-          document
-            .querySelector('meta[name="keywords"]')
-            ?.getAttribute("content") || null,
-        favicon:
-          document.querySelector('link[rel="icon"]')?.href ||
-          document.querySelector('link[rel="shortcut icon"]')?.href ||
-          null,
-        altText,
-      };
-    };
+/**
+ * Decides what happens after a failed delivery attempt: either schedules a retry
+ * following the webhook's retry policy (or the server's `Retry-After`), or ends the
+ * delivery with a notification that says why it stopped.
+ *
+ * @param {object} item - The in-flight queue item.
+ * @param {{reason: string, retryable: boolean, retryAfterMs?: number|null}} failure - The failed attempt.
+ * @returns {string|null} Why delivery stopped, or null when a retry was scheduled.
+ */
+function handleFailedAttempt(item, failure) {
+  const webhookName = item.webhook.name || "Webhook";
+  const policy = resolveRetryPolicy(item.webhook);
+  const attempts = `${item.attempts} attempt${item.attempts === 1 ? "" : "s"}`;
+
+  let stopReason = null;
+  if (!failure.retryable) {
+    stopReason = `Not retried because the server rejected the request. ${failure.reason}`;
+  } else if (item.attempts >= policy.maxAttempts) {
+    stopReason = `Gave up after ${attempts}. ${failure.reason}`;
+  } else if (failure.retryAfterMs > MAX_RETRY_AFTER_MS) {
+    stopReason = `Gave up because the server asked to retry in ${formatDelay(failure.retryAfterMs)}. ${failure.reason}`;
   }
 
-  // Execute scripts: one for page data, one for screen resolution, and one for window size
-  Promise.all([
-    chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      func: codeToExecute,
-      args: [urlToSend],
-    }),
-    chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      func: getScreenResolution,
-    }),
-    chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      func: getWindowSize,
-    }),
-  ]).then(([injectionResults, resolutionResults, windowResults]) => {
-    if (chrome.runtime.lastError) {
-      console.error(
-        "Script injection failed:",
-        chrome.runtime.lastError.message,
-      );
+  if (stopReason) {
+    console.log("Webhook delivery stopped:", stopReason);
+    completeDelivery(item);
+    addDeadLetter(item, stopReason);
+    if (reportToGroup(item, { outcome: "failed", detail: stopReason })) {
+      return stopReason;
     }
-    const extractedData = injectionResults?.[0]
-      ? injectionResults[0].result
-      : null;
-    const screenResolution = resolutionResults?.[0]
-      ? resolutionResults[0].result
-      : { screenWidth: null, screenHeight: null };
-    const windowSize = windowResults?.[0]
-      ? windowResults[0].result
-      : { windowWidth: null, windowHeight: null };
-
-    // Get browser, OS, and device type using chrome.runtime and navigator.userAgent
-    chrome.runtime.getPlatformInfo((platformInfo) => {
-      const browserInfo = navigator.userAgent;
-      const os = platformInfo.os || "Unknown OS";
-      const browserVersion = browserInfo.match(/(Chrome)\/([0-9.]+)/)
-        ? `${browserInfo.match(/(Chrome)\/([0-9.]+)/)[0]}`
-        : browserInfo; // Fallback to full user agent if Chrome version not found
-
-      // Simple device type detection (can be more robust if needed)
-      const deviceType =
-        navigator.userAgent.match(/Mobi/) ||
-        navigator.userAgent.match(/Android/i) ||
-        navigator.userAgent.match(/iPhone|iPad|iPod/i)
-          ? "Mobile"
-          : screenResolution.screenWidth && screenResolution.screenWidth <= 768
-            ? "Tablet"
-            : "Desktop";
-
-      // Find webhook name for notification
-      chrome.storage.local.get("webhooks", (data) => {
-        const webhook = data.webhooks?.find((wh) => wh.url === webhookUrl);
-        const webhookName = webhook ? webhook.name : "Webhook";
-
-        // Build enhanced payload
-        const payload = {
-          url: urlToSend,
-          pageUrl,
-          type,
-          timestamp: new Date().toISOString(),
-          title: extractedData?.title || null,
-          description: extractedData?.description || null,
-          keywords: extractedData?.keywords || null,
-          favicon: extractedData?.favicon || null,
-          linkTitle: extractedData?.linkTitle || null,
-          altText: extractedData?.altText || null,
-          customFields: customFields ?? null,
-          selectedText: selectionText,
-          browser: browserVersion,
-          operatingSystem: os,
-          deviceType: deviceType,
-          screenResolution: screenResolution.screenWidth
-            ? `${screenResolution.screenWidth}x${screenResolution.screenHeight}`
-            : null,
-          windowSize: windowSize.windowWidth
-            ? `${windowSize.windowWidth}x${windowSize.windowHeight}`
-            : null,
-        };
-
-        // Find webhook to get rate limit
-        chrome.storage.local.get("webhooks", (webhooksData) => {
-          const webhook = webhooksData.webhooks?.find(
-            (wh) => wh.url === webhookUrl,
-          );
-          const rateLimit = webhook ? webhook.rateLimit || 0 : 0;
+    showNotification(
+      `❌ ${webhookName} - Failed`,
+      `${stopReason} Saved to dead letters for replay.`,
+      false,
+    );
+    return stopReason;
+  }
 
-          addToQueue(webhookUrl, payload, webhookName, rateLimit);
-        });
-      });
-    });
-  });
+  const delayMs =
+    failure.retryAfterMs ?? computeRetryDelay(policy, item.attempts);
+  console.log(
+    `${failure.reason}, retrying in ${formatDelay(delayMs)}... (${attempts} of ${policy.maxAttempts})`,
+  );
+  scheduleRetry(item, delayMs);
+  return null;
 }
 
 /**
- * Displays a basic Chrome notification.
+ * Resolves a path such as `data.ticket.url`, `items[0].id` or `$.message` in a parsed response.
  *
- * @param {string} title - The title of the notification.
- * @param {string} message - The main message content of the notification.
- * @param {boolean} [isSuccess=true] - Whether the notification indicates success (influences icon, if different).
+ * @param {*} json - The parsed response body.
+ * @param {string} path - The path to resolve.
+ * @returns {*} The value, or undefined when any segment is missing.
  */
-function showNotification(title, message, isSuccess = true) {
-  const iconPath = isSuccess ? "images/icon48.png" : "images/icon48.png"; // Currently same icon for success/failure
-  chrome.notifications.create({
-    type: "basic",
-    iconUrl: iconPath,
-    title: title,
-    message: message,
-  });
+function resolveResponsePath(json, path) {
+  const normalized = path
+    .trim()
+    .replace(/^\$\.?/, "")
+    .replace(/\[(\d+)\]/g, ".$1");
+  return normalized ? resolveTemplatePath(json, normalized) : json;
 }
 
 /**
- * Displays and updates a dynamic Chrome notification for a webhook queue.
- * This notification shows the number of items in the queue and estimated time remaining.
- * It updates at a configurable interval and auto-clears after 60 seconds.
+ * Reads a webhook's JSON response using its response handling settings: the message
+ * to show, a link to offer, a value to copy, and whether the server reported a failure
+ * despite a 2xx status (a `false` value at the success path, `ok` by default).
  *
- * @param {string} webhookUrl - The URL of the webhook associated with the queue.
- * @param {string} webhookName - The name of the webhook for display in the notification.
+ * @param {object} webhook - The stored webhook configuration.
+ * @param {string} text - The response body.
+ * @returns {{failed: boolean, message: string|null, link: string|null, copyValue: string|null}} The interpreted response.
  */
-function showQueueNotification(webhookUrl, webhookName) {
-  const notificationId = `queue_${webhookUrl}_${Date.now()}`;
+function readWebhookResponse(webhook, text) {
+  const result = { failed: false, message: null, link: null, copyValue: null };
+  const json = parseJsonBody(text);
+  if (!json || typeof json !== "object") return result;
 
-  // Clear any existing notification for this webhook
-  clearQueueNotification(webhookUrl);
+  const settings = webhook.response || {};
+  const read = (path) => {
+    if (!path) return null;
+    const value = resolveResponsePath(json, path);
+    return value === null || value === undefined || value === ""
+      ? null
+      : stringifyTemplateValue(value);
+  };
 
-  // Get notification interval from settings
-  chrome.storage.local.get(
-    { settings: { notificationInterval: 5 } },
-    (data) => {
-      const updateIntervalMs = data.settings.notificationInterval * 1000;
+  result.failed =
+    resolveResponsePath(json, settings.successPath || "ok") === false;
+  result.message = read(settings.messagePath);
+  result.copyValue = read(settings.copyPath);
 
-      function updateNotification() {
-        const queueData = webhookQueues.get(webhookUrl);
-        if (!queueData || queueData.queue.length === 0) {
-          clearQueueNotification(webhookUrl);
-          return;
-        }
+  const link = read(settings.linkPath);
+  if (link && /^https?:\/\//i.test(link)) {
+    result.link = link;
+  }
 
-        const now = Date.now();
-        const timeSinceLastSent = now - queueData.lastSent;
-        const rateLimitMs = queueData.rateLimit * 1000;
-        const waitTime = Math.max(0, rateLimitMs - timeSinceLastSent);
-        const queuePosition = queueData.queue.length;
-        const totalWait = Math.ceil(
-          (waitTime + (queuePosition - 1) * rateLimitMs) / 1000,
-        );
+  if (result.failed && !result.message) {
+    result.message = read("error") || read("message");
+  }
 
-        chrome.notifications.create(notificationId, {
-          type: "basic",
-          iconUrl: "images/icon48.png",
-          title: `⏳ ${webhookName} - Queued`,
-          message: `${queuePosition} in queue, ~${totalWait}s remaining`,
-        });
-      }
+  return result;
+}
 
-      // Initial notification
-      updateNotification();
+/**
+ * Opens the link carried in an `open_<url>` notification ID and dismisses the notification.
+ *
+ * @param {string} notificationId - The notification ID.
+ */
+function openNotificationLink(notificationId) {
+  chrome.tabs.create({
+    url: notificationId.slice(OPEN_NOTIFICATION_PREFIX.length),
+  });
+  chrome.notifications.clear(notificationId);
+}
 
-      // Update at configured interval
-      const intervalId = setInterval(updateNotification, updateIntervalMs);
+/**
+ * Copies text to the clipboard through an offscreen document, since service
+ * workers have no clipboard access.
+ *
+ * @param {string} text - The text to copy.
+ * @returns {Promise<boolean>} True when the text was copied.
+ */
+function copyToClipboard(text) {
+  if (!chrome.offscreen) return Promise.resolve(false);
+
+  return chrome.offscreen
+    .createDocument({
+      url: "offscreen.html",
+      reasons: ["CLIPBOARD"],
+      justification: "Copy a value from a webhook response to the clipboard",
+    })
+    .catch(() => {
+      // The document is already open from an earlier copy
+    })
+    .then(() =>
+      chrome.runtime.sendMessage({
+        target: "offscreen",
+        type: "copyToClipboard",
+        text,
+      }),
+    )
+    .then((result) => Boolean(result?.ok))
+    .catch((error) => {
+      console.error("Failed to copy to the clipboard:", error);
+      return false;
+    });
+}
+
+/**
+ * Shows the success notification for a delivery, using the message picked from the
+ * response when there is one and an Open button when the response has a link.
+ *
+ * @param {string} webhookName - The webhook's display name.
+ * @param {{message: string|null, link: string|null, copyValue: string|null}} result - The interpreted response.
+ */
+function showDeliveredNotification(webhookName, result) {
+  const copy = result.copyValue
+    ? copyToClipboard(result.copyValue)
+    : Promise.resolve(false);
 
-      queueNotifications.set(webhookUrl, { notificationId, intervalId });
+  copy.then((copied) => {
+    const message = [
+      result.message || `Data sent successfully to ${webhookName}`,
+      copied
+        ? `Copied "${clipText(result.copyValue, 60)}" to the clipboard.`
+        : "",
+    ]
+      .filter(Boolean)
+      .join("\n");
 
-      // Auto-clear after 60 seconds to prevent indefinite notifications
-      setTimeout(() => clearQueueNotification(webhookUrl), 60000);
-    },
-  );
+    showLinkNotification(`✅ ${webhookName} - Success`, message, result.link);
+  });
 }
 
 /**
- * Clears a specific queue notification and its associated update interval.
+ * Shows a notification with an Open button for a link, or a plain one without a link.
  *
- * @param {string} webhookUrl - The URL of the webhook whose queue notification should be cleared.
+ * @param {string} title - The notification title.
+ * @param {string} message - The notification message.
+ * @param {string|null} link - The http(s) URL to open.
  */
-function clearQueueNotification(webhookUrl) {
-  const notification = queueNotifications.get(webhookUrl);
-  if (notification) {
-    clearInterval(notification.intervalId);
-    chrome.notifications.clear(notification.notificationId);
-    queueNotifications.delete(webhookUrl);
+function showLinkNotification(title, message, link) {
+  if (!link) {
+    showNotification(title, message, true);
+    return;
   }
+
+  chrome.notifications.create(`${OPEN_NOTIFICATION_PREFIX}${link}`, {
+    type: "basic",
+    iconUrl: "images/icon48.png",
+    title,
+    message,
+    contextMessage: hostnameOf(link),
+    buttons: [{ title: "Open" }],
+  });
 }
 
 /**
- * Sends a POST request to a webhook URL with a JSON payload.
- * Includes retry logic for failed requests.
- * Displays success or failure notifications upon completion.
+ * Sends a request, aborting it when the response (including its body) takes
+ * longer than the timeout. A timeout rejects with a `TimeoutError`.
  *
- * @param {string} webhookUrl - The URL of the webhook.
- * @param {object} payload - The JSON payload to send.
- * @param {number} [retryCount=3] - The number of retries remaining.
- * @param {string} [webhookName="Webhook"] - The name of the webhook for notifications.
+ * @param {{url: string, init: RequestInit}} request - The request from `buildWebhookRequest`.
+ * @param {number} timeoutMs - The timeout in milliseconds.
+ * @param {AbortController} [controller] - A controller that can also cancel the request.
+ * @returns {Promise<{response: Response, text: string}>} The response and its body text.
  */
-function postToWebhookDirect(
-  webhookUrl,
-  payload,
-  retryCount = 3,
-  webhookName = "Webhook",
+function fetchWithTimeout(
+  request,
+  timeoutMs,
+  controller = new AbortController(),
 ) {
-  fetch(webhookUrl, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  return fetch(request.url, { ...request.init, signal: controller.signal })
+    .then((response) =>
+      response
+        .clone()
+        .text()
+        .catch(() => "")
+        .then((text) => ({ response, text })),
+    )
+    .catch((error) => {
+      if (!timedOut) throw error;
+      const timeoutError = new Error(
+        `Timed out after ${formatDelay(timeoutMs)}`,
+      );
+      timeoutError.name = "TimeoutError";
+      throw timeoutError;
+    })
+    .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Sends a queued item to its webhook using the configured method, headers, authentication and signing.
+ * Failed attempts go through `handleFailedAttempt`, which applies the webhook's retry policy;
+ * pending retries are persisted and survive a service worker restart.
+ * Each attempt is aborted after the webhook's timeout (a retryable failure) and can be
+ * canceled through `cancelDelivery`. Every attempt is recorded in the delivery history,
+ * and success or failure notifications are displayed upon completion.
+ *
+ * @param {object} item - The in-flight queue item (webhook, payload, attempts).
+ */
+function postToWebhookDirect(item) {
+  const { webhook, payload } = item;
+  const webhookName = webhook.name || "Webhook";
+
+  // Marks the attempt as running; a restart before it settles sends it again
+  item.attempts = (item.attempts || 0) + 1;
+  item.nextAttemptAt = null;
+  persistQueues();
+
+  const entry = createHistoryEntry(item);
+  const controller = new AbortController();
+  requestControllers.set(item.id, controller);
+
+  // Slow requests get a notification that can cancel them
+  const sendingNotificationId = `${SENDING_NOTIFICATION_PREFIX}${item.id}`;
+  const slowNotice = setTimeout(() => {
+    chrome.notifications.create(sendingNotificationId, {
+      type: "basic",
+      iconUrl: "images/icon48.png",
+      title: `⏳ ${webhookName} - Sending`,
+      message: "Still waiting for a response…",
+      buttons: [{ title: "Cancel" }],
+    });
+  }, SLOW_REQUEST_NOTICE_MS);
+  const settle = () => {
+    clearTimeout(slowNotice);
+    chrome.notifications.clear(sendingNotificationId);
+    requestControllers.delete(item.id);
+    fillRequestSlots();
+  };
+
+  buildWebhookRequest(webhook, payload).then(
+    (request) => {
+      entry.request = historyRequest(webhook, request);
+      const startTime = Date.now();
+      const timeoutMs = (webhook.timeout || DEFAULT_REQUEST_TIMEOUT) * 1000;
+
+      fetchWithTimeout(request, timeoutMs, controller)
+        .then(({ response, text }) => {
+          settle();
+          entry.status = response.status;
+          entry.latency = Date.now() - startTime;
+          const headers = {};
+          response.headers.forEach((value, name) => {
+            headers[name] = value;
+          });
+          entry.response = {
+            headers,
+            body: clipText(text, HISTORY_BODY_LIMIT),
+          };
+
+          // Canceled while the response was being read: cancelDelivery left the
+          // history entry to this request, which did reach the server
+          if (item.canceled) {
+            recordDelivery({
+              ...entry,
+              outcome: "canceled",
+              error: "Canceled after the server responded",
+            });
+            return;
+          }
+
+          const result = readWebhookResponse(webhook, text);
+          if (response.ok && result.failed) {
+            // A 2xx answer such as {"ok": false} is a rejection, not a success
+            const reason = `The server reported a failure${result.message ? `: ${result.message}` : ""}`;
+            const stopReason = handleFailedAttempt(item, {
+              reason,
+              retryable: false,
+            });
+            recordDelivery({ ...entry, outcome: "failed", error: stopReason });
+            return;
+          }
+
+          if (response.ok) {
+            console.log("Webhook sent with response status:", response.status);
+            completeDelivery(item);
+            recordDelivery({ ...entry, outcome: "delivered" });
+            if (!reportToGroup(item, { ...result, outcome: "delivered" })) {
+              showDeliveredNotification(webhookName, result);
+            }
+            return;
+          }
+
+          const retryAfterMs = parseRetryAfter(
+            response.headers.get("Retry-After"),
+          );
+          return describeFailedResponse(webhook, response).then((reason) => {
+            if (item.canceled) return;
+            const stopReason = handleFailedAttempt(item, {
+              reason,
+              retryable: isRetryableStatus(response.status),
+              retryAfterMs,
+            });
+            recordDelivery({
+              ...entry,
+              outcome: stopReason ? "failed" : "retrying",
+              error: stopReason || reason,
+            });
+          });
+        })
+        .catch((error) => {
+          settle();
+          const latency = Date.now() - startTime;
+
+          if (item.canceled) {
+            recordDelivery({
+              ...entry,
+              latency,
+              outcome: "canceled",
+              error: "Canceled while waiting for a response",
+            });
+            return;
+          }
+
+          // Timeouts are retried like any other transient failure
+          if (error.name === "TimeoutError") {
+            const stopReason = handleFailedAttempt(item, {
+              reason: error.message,
+              retryable: true,
+            });
+            recordDelivery({
+              ...entry,
+              latency,
+              outcome: stopReason ? "failed" : "retrying",
+              error: stopReason || error.message,
+            });
+            return;
+          }
+
+          console.error("Error sending webhook:", error);
+          const reason = `Network error: ${error.message}`;
+
+          // A dropped connection parks the item instead of using up its retries
+          checkConnectivity().then((online) => {
+            if (item.canceled) return;
+            if (!online) {
+              parkDelivery(item);
+              setNetworkOffline(true);
+              recordDelivery({
+                ...entry,
+                latency,
+                outcome: "parked",
+                error: `${reason}. Held until the connection returns.`,
+              });
+              return;
+            }
+
+            const stopReason = handleFailedAttempt(item, {
+              reason,
+              retryable: true,
+            });
+            recordDelivery({
+              ...entry,
+              latency,
+              outcome: stopReason ? "failed" : "retrying",
+              error: stopReason || reason,
+            });
+          });
+        });
     },
-    body: JSON.stringify(payload),
-  })
-    .then((response) => {
-      if (!response.ok && retryCount > 0) {
-        console.log(
-          `Webhook failed with status ${response.status}, retrying... (${retryCount} attempts left)`,
-        );
-        setTimeout(
-          () =>
-            postToWebhookDirect(
-              webhookUrl,
-              payload,
-              retryCount - 1,
-              webhookName,
-            ),
-          1000,
-        );
-      } else if (response.ok) {
-        console.log("Webhook sent with response status:", response.status);
-        showNotification(
-          `✅ ${webhookName} - Success`,
-          `Data sent successfully to ${webhookName}`,
-          true,
-        );
-      } else {
-        console.log("Webhook failed after all retries");
-        showNotification(
-          `❌ ${webhookName} - Failed`,
-          `Failed to send data after 3 attempts`,
-          false,
-        );
+    (error) => {
+      settle();
+      console.error("Invalid webhook request settings:", error);
+      const reason = `Invalid request settings: ${error.message}`;
+      completeDelivery(item);
+      addDeadLetter(item, reason);
+      recordDelivery({ ...entry, outcome: "failed", error: reason });
+      if (reportToGroup(item, { outcome: "failed", detail: reason })) return;
+      showNotification(
+        `❌ ${webhookName} - Error`,
+        `${reason} Saved to dead letters for replay.`,
+        false,
+      );
+    },
+  );
+}
+
+/**
+ * Sends a single test request to a webhook using the same request settings
+ * (including signing and the timeout) as real deliveries, without retries, queueing or notifications.
+ *
+ * @param {object} webhook - The stored webhook configuration to test.
+ * @param {object} payload - The test payload to send.
+ * @returns {Promise<{ok: boolean, status?: number, message?: string, error?: string, responseTime: number}>} The test result.
+ */
+function sendTestRequest(webhook, payload) {
+  const startTime = Date.now();
+
+  return buildWebhookRequest(webhook, payload)
+    .then((request) =>
+      fetchWithTimeout(
+        request,
+        (webhook.timeout || DEFAULT_REQUEST_TIMEOUT) * 1000,
+      ),
+    )
+    .then(({ response, text }) => {
+      const interpreted = readWebhookResponse(webhook, text);
+      const result = {
+        ok: response.ok && !interpreted.failed,
+        status: response.status,
+        responseTime: Date.now() - startTime,
+      };
+      if (response.ok) {
+        const message = interpreted.failed
+          ? `The server reported a failure${interpreted.message ? `: ${interpreted.message}` : ""}`
+          : interpreted.message;
+        return message ? { ...result, message } : result;
       }
+
+      return describeFailedResponse(webhook, response).then((message) => ({
+        ...result,
+        message,
+      }));
     })
-    .catch((error) => {
-      console.error("Error sending webhook:", error);
-      if (retryCount > 0) {
-        console.log(
-          `Retrying webhook in 2 seconds... (${retryCount} attempts left)`,
-        );
-        setTimeout(
-          () =>
-            postToWebhookDirect(
-              webhookUrl,
-              payload,
-              retryCount - 1,
-              webhookName,
-            ),
-          2000,
-        );
-      } else {
-        showNotification(
-          `❌ ${webhookName} - Error`,
-          `Network error: ${error.message}`,
-          false,
-        );
-      }
-    });
+    .catch((error) => ({
+      ok: false,
+      error: error.message,
+      responseTime: Date.now() - startTime,
+    }));
 }
 
+// Resume saved deliveries whenever the service worker starts (install, browser startup or wake-up)
+initializeQueues();
+updateDeadLetterBadge();
+
 // Listen for changes in the webhooks data to update context menus and queues
 chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === "local" && changes.webhooks) {
     updateWebhookMenus();
     initializeQueues();
   }
+  if (namespace === "local" && changes.webhookGroups) {
+    updateWebhookMenus();
+  }
+  if (namespace === "local" && changes.settings) {
+    // Apply a lowered history limit to the entries already stored
+    updateHistory((history) => history);
+    maxInFlight =
+      changes.settings.newValue?.maxInFlight || DEFAULT_MAX_IN_FLIGHT;
+    fillRequestSlots();
+    const checkUrl =
+      changes.settings.newValue?.connectivityCheckUrl ||
+      DEFAULT_CONNECTIVITY_CHECK_URL;
+    if (checkUrl !== connectivityCheckUrl) {
+      // A new check URL gets a fresh start
+      connectivityCheckUrl = checkUrl;
+      failedConnectivityChecks = 0;
+      connectivityCheckBlocked = false;
+      saveNetworkStatus();
+    }
+  }
+  if (namespace === "local" && changes.deadLetters) {
+    updateDeadLetterBadge();
+  }
 });
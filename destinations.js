@@ -0,0 +1,455 @@
+// Destination adapters that turn a capture payload into a chat service's native message format
+
+/**
+ * Emoji shown for each capture type in chat messages.
+ */
+const CAPTURE_TYPE_EMOJI = {
+  page: "📄",
+  link: "🔗",
+  image: "🖼️",
+  video: "🎬",
+  selection: "💬",
+  test: "🧪",
+};
+
+/**
+ * Reads the hostname of a URL without throwing on invalid input.
+ *
+ * @param {string|null} url - The URL to read.
+ * @returns {string} The hostname, or an empty string.
+ */
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Shortens text to a maximum length for services with field limits.
+ *
+ * @param {string|null} text - The text to shorten.
+ * @param {number} max - The maximum number of characters.
+ * @returns {string} The shortened text, ending in `…` when cut.
+ */
+function clipText(text, max) {
+  if (!text) return "";
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Extracts the common pieces every chat message is built from.
+ *
+ * @param {object} payload - The capture payload.
+ * @returns {{emoji: string, title: string, link: string, text: string, host: string, fields: Array<{name: string, value: string}>}} The message parts.
+ */
+function summarizeCapture(payload) {
+  const title =
+    payload.type === "link"
+      ? payload.linkTitle || payload.url
+      : payload.title || payload.url;
+
+  return {
+    emoji: CAPTURE_TYPE_EMOJI[payload.type] || "📌",
+    title: (title || "Untitled").trim(),
+    link: payload.url || payload.pageUrl,
+    text: payload.selectedText || payload.description || "",
+    host: hostnameOf(payload.pageUrl),
+    fields: Object.entries(payload.customFields || {})
+      .filter(([, value]) => value !== "" && value !== null)
+      .map(([name, value]) => ({
+        name,
+        value: typeof value === "object" ? JSON.stringify(value) : `${value}`,
+      })),
+  };
+}
+
+/**
+ * Parses a response body as JSON, returning null for non-JSON bodies.
+ *
+ * @param {string} text - The response body.
+ * @returns {object|null} The parsed body.
+ */
+function parseJsonBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Computes a short, stable hash of a string (FNV-1a), used for transaction IDs
+ * that must stay the same when a request is retried, for payloads without an `id`.
+ *
+ * @param {string} value - The string to hash.
+ * @returns {string} The hash as 8 hex characters.
+ */
+function stableHash(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Escapes text for Slack's mrkdwn format.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeSlack(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Escapes text for inclusion in HTML.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+  return escapeSlack(text).replace(/"/g, "&quot;");
+}
+
+/**
+ * Encodes a header value so it survives the Latin-1 restriction on HTTP headers,
+ * using RFC 2047 encoded-words for anything outside printable ASCII (as ntfy supports).
+ *
+ * @param {string} value - The header value.
+ * @returns {string} The encoded header value.
+ */
+function encodeHeaderValue(value) {
+  const singleLine = value.replace(/\s+/g, " ");
+  return /^[\x20-\x7e]*$/.test(singleLine)
+    ? singleLine
+    : `=?UTF-8?B?${encodeBase64(singleLine)}?=`;
+}
+
+/**
+ * Adapters keyed by the webhook's `destinationType`.
+ * `build` returns the request to send (`body` is JSON encoded unless it is a string),
+ * and `describeError` turns a failed response into a readable message (or null to use the generic one).
+ */
+// biome-ignore lint/correctness/noUnusedVariables: used by background.js
+const DESTINATIONS = {
+  slack: {
+    build: (payload) => {
+      const capture = summarizeCapture(payload);
+      const header = {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${capture.emoji} *<${capture.link}|${escapeSlack(clipText(capture.title, 200))}>*${
+            payload.description && payload.type !== "selection"
+              ? `\n${escapeSlack(clipText(payload.description, 2500))}`
+              : ""
+          }`,
+        },
+      };
+      if (payload.type === "image") {
+        header.accessory = {
+          type: "image",
+          image_url: payload.url,
+          alt_text: payload.altText || capture.title,
+        };
+      }
+
+      const blocks = [header];
+      if (payload.selectedText) {
+        blocks.push({
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `> ${escapeSlack(clipText(payload.selectedText, 2900)).replace(/\n/g, "\n> ")}`,
+          },
+        });
+      }
+      if (capture.fields.length > 0) {
+        blocks.push({
+          type: "section",
+          fields: capture.fields.slice(0, 10).map((field) => ({
+            type: "mrkdwn",
+            text: `*${escapeSlack(field.name)}*\n${escapeSlack(clipText(field.value, 1900))}`,
+          })),
+        });
+      }
+      blocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `${payload.type} from <${payload.pageUrl}|${capture.host || payload.pageUrl}>`,
+          },
+        ],
+      });
+
+      return { body: { text: `${capture.title} ${capture.link}`, blocks } };
+    },
+    // Slack answers with a plain-text error code such as `invalid_blocks` or `no_service`
+    describeError: (status, text) =>
+      text
+        ? `Slack rejected the message (${status}): ${clipText(text.trim(), 200)}`
+        : null,
+  },
+
+  discord: {
+    build: (payload) => {
+      const capture = summarizeCapture(payload);
+      const embed = {
+        title: clipText(`${capture.emoji} ${capture.title}`, 256),
+        url: capture.link,
+        description: payload.selectedText
+          ? clipText(`> ${payload.selectedText.replace(/\n/g, "\n> ")}`, 4096)
+          : clipText(payload.description, 4096),
+        author: {
+          name: clipText(capture.host || payload.pageUrl, 256),
+          url: payload.pageUrl,
+        },
+        fields: capture.fields.slice(0, 25).map((field) => ({
+          name: clipText(field.name, 256),
+          value: clipText(field.value, 1024),
+          inline: field.value.length < 40,
+        })),
+        footer: { text: `Super Webhooks • ${payload.type}` },
+        timestamp: payload.timestamp,
+      };
+      if (payload.favicon) {
+        embed.author.icon_url = payload.favicon;
+      }
+      if (payload.type === "image") {
+        embed.image = { url: payload.url };
+      }
+
+      return { body: { embeds: [embed] } };
+    },
+    // Discord answers with `{ message, code, errors }`, and `{ retry_after }` on 429
+    describeError: (status, text) => {
+      const error = parseJsonBody(text);
+      if (!error) return null;
+      if (status === 429 && error.retry_after) {
+        return `Discord rate limit hit, retry after ${error.retry_after}s`;
+      }
+      const details = error.errors ? ` ${JSON.stringify(error.errors)}` : "";
+      return error.message
+        ? `Discord error ${error.code ?? status}: ${error.message}${clipText(details, 200)}`
+        : null;
+    },
+  },
+
+  teams: {
+    build: (payload, webhook) => {
+      const capture = summarizeCapture(payload);
+      const facts = capture.fields.map((field) => ({
+        name: field.name,
+        value: field.value,
+      }));
+
+      // Workflows (Power Automate) webhooks only accept Adaptive Cards
+      if (webhook.destinationOptions?.teamsFormat === "adaptiveCard") {
+        const body = [
+          {
+            type: "TextBlock",
+            text: `${capture.emoji} ${capture.title}`,
+            weight: "Bolder",
+            size: "Medium",
+            wrap: true,
+          },
+          {
+            type: "TextBlock",
+            text: capture.host,
+            isSubtle: true,
+            spacing: "None",
+          },
+        ];
+        if (capture.text) {
+          body.push({ type: "TextBlock", text: capture.text, wrap: true });
+        }
+        if (payload.type === "image") {
+          body.push({
+            type: "Image",
+            url: payload.url,
+            altText: capture.title,
+          });
+        }
+        if (facts.length > 0) {
+          body.push({
+            type: "FactSet",
+            facts: facts.map((fact) => ({
+              title: fact.name,
+              value: fact.value,
+            })),
+          });
+        }
+
+        return {
+          body: {
+            type: "message",
+            attachments: [
+              {
+                contentType: "application/vnd.microsoft.card.adaptive",
+                contentUrl: null,
+                content: {
+                  $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+                  type: "AdaptiveCard",
+                  version: "1.4",
+                  body,
+                  actions: [
+                    {
+                      type: "Action.OpenUrl",
+                      title: "Open",
+                      url: capture.link,
+                    },
+                  ],
+                },
+              },
+            ],
+          },
+        };
+      }
+
+      const section = {
+        activityTitle: capture.title,
+        activitySubtitle: capture.host,
+        text: capture.text,
+        facts,
+      };
+      if (payload.favicon) {
+        section.activityImage = payload.favicon;
+      }
+      if (payload.type === "image") {
+        section.images = [{ image: payload.url, title: capture.title }];
+      }
+
+      return {
+        body: {
+          "@type": "MessageCard",
+          "@context": "https://schema.org/extensions",
+          summary: capture.title,
+          themeColor: "0078D4",
+          title: `${capture.emoji} ${capture.title}`,
+          sections: [section],
+          potentialAction: [
+            {
+              "@type": "OpenUri",
+              name: "Open",
+              targets: [{ os: "default", uri: capture.link }],
+            },
+          ],
+        },
+      };
+    },
+    // Connectors answer with plain text, Workflows with `{ error: { code, message } }`
+    describeError: (status, text) => {
+      const error = parseJsonBody(text)?.error;
+      if (error?.message) {
+        return `Teams error ${error.code || status}: ${error.message}`;
+      }
+      return text
+        ? `Teams error ${status}: ${clipText(text.trim(), 200)}`
+        : null;
+    },
+  },
+
+  ntfy: {
+    build: (payload) => {
+      const capture = summarizeCapture(payload);
+      const headers = {
+        Title: encodeHeaderValue(clipText(capture.title, 250)),
+        Tags: ["super-webhooks", payload.type].join(","),
+        Click: capture.link,
+      };
+      if (payload.type === "image") {
+        headers.Attach = payload.url;
+      }
+      if (payload.favicon) {
+        headers.Icon = payload.favicon;
+      }
+
+      const fields = capture.fields.map(
+        (field) => `${field.name}: ${field.value}`,
+      );
+      const message = [capture.text || capture.link, ...fields]
+        .filter(Boolean)
+        .join("\n");
+
+      return {
+        body: message,
+        contentType: "text/plain; charset=utf-8",
+        headers,
+      };
+    },
+    // ntfy answers with `{ code, http, error, link }`
+    describeError: (status, text) => {
+      const error = parseJsonBody(text);
+      return error?.error
+        ? `ntfy error ${error.code || status}: ${error.error}`
+        : null;
+    },
+  },
+
+  matrix: {
+    build: (payload, webhook) => {
+      const roomId = webhook.destinationOptions?.roomId;
+      if (!roomId) {
+        throw new Error("A Matrix room ID is required");
+      }
+
+      const capture = summarizeCapture(payload);
+      const fields = capture.fields.map(
+        (field) => `${field.name}: ${field.value}`,
+      );
+      const plain = [
+        `${capture.emoji} ${capture.title}`,
+        capture.link,
+        capture.text,
+        ...fields,
+      ]
+        .filter(Boolean)
+        .join("\n");
+      const html = [
+        `${capture.emoji} <a href="${escapeHtml(capture.link)}"><strong>${escapeHtml(capture.title)}</strong></a>`,
+        capture.text
+          ? payload.selectedText
+            ? `<blockquote>${escapeHtml(capture.text)}</blockquote>`
+            : escapeHtml(capture.text)
+          : "",
+        ...capture.fields.map(
+          (field) =>
+            `<strong>${escapeHtml(field.name)}</strong>: ${escapeHtml(field.value)}`,
+        ),
+      ]
+        .filter(Boolean)
+        .join("<br>");
+
+      // The transaction ID must be stable across retries so the homeserver can de-duplicate.
+      // The capture id already is; only payloads queued before captures had one are hashed.
+      const base = webhook.url.replace(/\/+$/, "");
+      const txnId = `sw-${payload.id || stableHash(JSON.stringify(payload))}`;
+
+      return {
+        method: "PUT",
+        url: `${base}/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${txnId}`,
+        body: {
+          msgtype: "m.text",
+          body: plain,
+          format: "org.matrix.custom.html",
+          formatted_body: html,
+        },
+      };
+    },
+    // Matrix answers with `{ errcode, error }`
+    describeError: (status, text) => {
+      const error = parseJsonBody(text);
+      return error?.errcode
+        ? `Matrix ${error.errcode}: ${error.error || `HTTP ${status}`}`
+        : null;
+    },
+  },
+};
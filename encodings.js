@@ -0,0 +1,197 @@
+// Body encodings for custom webhooks: JSON, form-urlencoded, multipart, XML and plain text
+
+/**
+ * Flattens a payload into `[key, value]` pairs for flat formats (form, multipart, text).
+ * Nested object keys use bracket notation (`customFields[note]`), array items use their
+ * index (`tags[0]`), null and undefined become empty strings, and everything else is
+ * converted with `String()`.
+ *
+ * @param {object} payload - The payload to flatten.
+ * @param {string} [prefix=""] - The key prefix for nested values.
+ * @returns {Array<[string, string]>} The flattened key/value pairs, in payload order.
+ */
+function flattenPayload(payload, prefix = "") {
+  return Object.entries(payload).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (value !== null && typeof value === "object") {
+      return flattenPayload(value, name);
+    }
+    return [[name, value === null || value === undefined ? "" : String(value)]];
+  });
+}
+
+/**
+ * Escapes text for XML element content.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Turns a payload key into a valid XML element name.
+ * Invalid characters become `_` and names that cannot start an element are prefixed with `_`.
+ *
+ * @param {string} key - The payload key (custom field names can be anything).
+ * @returns {string} A valid XML element name.
+ */
+function toXmlName(key) {
+  const name = key.replace(/[^A-Za-z0-9_.-]/g, "_");
+  return /^[A-Za-z_]/.test(name) && !/^xml/i.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Serializes a value as XML elements. Objects become nested elements, arrays repeat
+ * an `<item>` element, and null or undefined become empty elements.
+ *
+ * @param {string} name - The element name.
+ * @param {*} value - The value to serialize.
+ * @param {string} indent - The current indentation.
+ * @returns {string} The XML fragment.
+ */
+function toXmlElement(name, value, indent) {
+  const tag = toXmlName(name);
+  if (value === null || value === undefined) {
+    return `${indent}<${tag}/>`;
+  }
+  if (typeof value !== "object") {
+    return `${indent}<${tag}>${escapeXml(String(value))}</${tag}>`;
+  }
+
+  const children = Array.isArray(value)
+    ? value.map((item) => toXmlElement("item", item, `${indent}  `))
+    : Object.entries(value).map(([key, child]) =>
+        toXmlElement(key, child, `${indent}  `),
+      );
+  return children.length > 0
+    ? `${indent}<${tag}>\n${children.join("\n")}\n${indent}</${tag}>`
+    : `${indent}<${tag}/>`;
+}
+
+/**
+ * Builds a multipart boundary that is unlikely to appear in any field value.
+ *
+ * @returns {string} The boundary.
+ */
+function createMultipartBoundary() {
+  const bytes = crypto.getRandomValues(new Uint8Array(12));
+  return `----SuperWebhooks${toHex(bytes.buffer)}`;
+}
+
+/**
+ * Escapes a multipart field name for a `Content-Disposition` header, as browsers do.
+ *
+ * @param {string} name - The field name.
+ * @returns {string} The escaped name.
+ */
+function escapeMultipartName(name) {
+  return name.replace(/\r/g, "%0D").replace(/\n/g, "%0A").replace(/"/g, "%22");
+}
+
+/**
+ * Decodes base64 into raw bytes.
+ *
+ * @param {string} base64 - The base64 string.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Multipart part names for payload fields that carry a file
+const MULTIPART_FILE_PARTS = { media: "file", screenshot: "screenshot" };
+
+/**
+ * Body encodings keyed by the webhook's `encoding` setting.
+ * Each `encode` returns the body (a string, or bytes for multipart with a media file)
+ * together with its Content-Type, so the exact bytes that are sent can also be signed.
+ */
+// biome-ignore lint/correctness/noUnusedVariables: used by background.js
+const BODY_ENCODINGS = {
+  json: {
+    encode: (payload) => ({
+      body: JSON.stringify(payload),
+      contentType: "application/json",
+    }),
+  },
+
+  form: {
+    encode: (payload) => ({
+      body: new URLSearchParams(flattenPayload(payload)).toString(),
+      contentType: "application/x-www-form-urlencoded",
+    }),
+  },
+
+  multipart: {
+    encode: (payload) => {
+      const boundary = createMultipartBoundary();
+      const { media, screenshot, ...fields } = payload;
+      const files = [];
+
+      // Attached media and screenshots are sent as real file parts; their other details stay as fields
+      Object.entries({ media, screenshot }).forEach(([field, attachment]) => {
+        if (!attachment) return;
+        fields[field] = Object.fromEntries(
+          Object.entries(attachment).filter(([key]) => key !== "data"),
+        );
+        if (attachment.data) {
+          files.push({ name: MULTIPART_FILE_PARTS[field], ...attachment });
+        }
+      });
+
+      const parts = flattenPayload(fields).map(
+        ([name, value]) =>
+          `--${boundary}\r\nContent-Disposition: form-data; name="${escapeMultipartName(name)}"\r\n\r\n${value}\r\n`,
+      );
+      const contentType = `multipart/form-data; boundary=${boundary}`;
+
+      if (files.length === 0) {
+        return { body: `${parts.join("")}--${boundary}--\r\n`, contentType };
+      }
+
+      const encoder = new TextEncoder();
+      return {
+        body: concatBytes([
+          encoder.encode(parts.join("")),
+          ...files.flatMap((file) => [
+            encoder.encode(
+              `--${boundary}\r\nContent-Disposition: form-data; name="${file.name}"; filename="${escapeMultipartName(file.fileName)}"\r\nContent-Type: ${file.mimeType}\r\n\r\n`,
+            ),
+            base64ToBytes(file.data),
+            encoder.encode("\r\n"),
+          ]),
+          encoder.encode(`--${boundary}--\r\n`),
+        ]),
+        contentType,
+      };
+    },
+  },
+
+  xml: {
+    encode: (payload) => ({
+      body: `<?xml version="1.0" encoding="UTF-8"?>\n${toXmlElement("capture", payload, "")}\n`,
+      contentType: "application/xml; charset=utf-8",
+    }),
+  },
+
+  text: {
+    encode: (payload) => ({
+      body: flattenPayload(payload)
+        .map(([name, value]) => `${name}: ${value}`)
+        .join("\n"),
+      contentType: "text/plain; charset=utf-8",
+    }),
+  },
+};
@@ -0,0 +1,232 @@
+// Per-webhook CSS selector and XPath extractors, shared by the background worker (captures)
+// and the popup (form parsing and "Test on Current Tab")
+
+// Longest value one extractor returns, and the most matches an `all` extractor collects
+// biome-ignore lint/correctness/noUnusedVariables: used by background.js and popup.js
+const MAX_EXTRACTED_LENGTH = 10000;
+// biome-ignore lint/correctness/noUnusedVariables: used by background.js and popup.js
+const MAX_EXTRACTED_MATCHES = 100;
+
+/**
+ * Parses the extractors textarea, one extractor per line:
+ * `name selector [text|html|attr:name] [all] [on:pattern]`.
+ * Selectors containing spaces are wrapped in double quotes; selectors starting with
+ * `/` or `(`, or prefixed with `xpath:` (for `count(//li)`), are XPath, anything else is CSS.
+ * Blank lines and lines starting with `#` are ignored.
+ *
+ * @param {string} text - The raw extractors text from the form.
+ * @returns {{extractors: Array<object>, error: string|null}} The parsed extractors, or an error message for the first invalid line.
+ */
+// biome-ignore lint/correctness/noUnusedVariables: used by popup.js
+function parseExtractorLines(text) {
+  const extractors = [];
+  const lines = text.split("\n").map((line) => line.trim());
+
+  for (const line of lines) {
+    if (!line || line.startsWith("#")) continue;
+
+    const [name, rawSelector, ...options] = line.match(/"[^"]+"|\S+/g);
+    if (!/^[A-Za-z_][\w-]*$/.test(name) || !rawSelector) {
+      return {
+        extractors: [],
+        error: `Invalid extractor line: "${line}". Use: name selector [text|html|attr:name] [all] [on:pattern]`,
+      };
+    }
+    if (extractors.some((extractor) => extractor.name === name)) {
+      return { extractors: [], error: `Duplicate extractor name: "${name}"` };
+    }
+
+    const unquoted = rawSelector.replace(/^"(.*)"$/, "$1");
+    const selector = unquoted.replace(/^xpath:/, "");
+    const extractor = {
+      name,
+      selector,
+      type:
+        unquoted.startsWith("xpath:") || /^[/(]/.test(selector)
+          ? "xpath"
+          : "css",
+      read: "text",
+      attribute: null,
+      all: false,
+      urlPattern: null,
+    };
+    for (const option of options) {
+      if (option === "text" || option === "html") {
+        extractor.read = option;
+      } else if (option.startsWith("attr:") && option.length > 5) {
+        extractor.read = "attribute";
+        extractor.attribute = option.slice(5);
+      } else if (option === "all") {
+        extractor.all = true;
+      } else if (option.startsWith("on:") && option.length > 3) {
+        extractor.urlPattern = option.slice(3);
+        const { error } = parseUrlPattern(extractor.urlPattern);
+        if (error) {
+          return {
+            extractors: [],
+            error: `Invalid URL pattern for extractor "${name}": ${error}`,
+          };
+        }
+      } else {
+        return {
+          extractors: [],
+          error: `Unknown option "${option}" for extractor "${name}"`,
+        };
+      }
+    }
+    extractors.push(extractor);
+  }
+
+  return { extractors, error: null };
+}
+
+/**
+ * Formats stored extractors back into the lines used by the form.
+ *
+ * @param {Array<object>} [extractors=[]] - The stored extractors.
+ * @returns {string} The extractors as multiline text.
+ */
+// biome-ignore lint/correctness/noUnusedVariables: used by popup.js
+function formatExtractorLines(extractors = []) {
+  return extractors
+    .map((extractor) => {
+      const selector =
+        extractor.type === "xpath" && !/^[/(]/.test(extractor.selector)
+          ? `xpath:${extractor.selector}`
+          : extractor.selector;
+      return [
+        extractor.name,
+        /\s/.test(selector) ? `"${selector}"` : selector,
+        extractor.read === "attribute"
+          ? `attr:${extractor.attribute}`
+          : extractor.read === "html"
+            ? "html"
+            : null,
+        extractor.all ? "all" : null,
+        extractor.urlPattern ? `on:${extractor.urlPattern}` : null,
+      ]
+        .filter(Boolean)
+        .join(" ");
+    })
+    .join("\n");
+}
+
+/**
+ * Checks whether an extractor runs on a page: always, unless it is scoped to a URL pattern.
+ *
+ * @param {object} extractor - The extractor.
+ * @param {string|null|undefined} url - The page URL.
+ * @returns {boolean} True when the extractor applies to the page.
+ */
+// biome-ignore lint/correctness/noUnusedVariables: used by background.js and popup.js
+function extractorApplies(extractor, url) {
+  if (!extractor.urlPattern) return true;
+  return Boolean(url && parseUrlPattern(extractor.urlPattern).regex?.test(url));
+}
+
+/**
+ * The key an extractor's result is stored under in a capture. Group members with the
+ * same extractor (whatever they named it) share one result.
+ *
+ * @param {object} extractor - The extractor.
+ * @returns {string} The extractor key.
+ */
+// biome-ignore lint/correctness/noUnusedVariables: used by background.js
+function extractorKey(extractor) {
+  return JSON.stringify([
+    extractor.type,
+    extractor.selector,
+    extractor.read,
+    extractor.attribute,
+    extractor.all,
+  ]);
+}
+
+/**
+ * Runs extractors against the page. Each reads the text, inner HTML or an attribute
+ * (`href` and `src` made absolute) of the first match, or of every match as an array
+ * with `all`. XPath expressions that return a string, number or boolean give that value.
+ * Runs in the page through `chrome.scripting.executeScript`, so it cannot use anything
+ * outside its own body.
+ *
+ * @param {Array<object>} extractors - The extractors to run.
+ * @param {number} maxLength - The longest value to return; longer ones are cut.
+ * @param {number} maxMatches - The most matches an `all` extractor collects.
+ * @returns {Array<{value: string|number|boolean|Array<string>|null, error: string|null}>} One result per extractor, in order.
+ */
+// biome-ignore lint/correctness/noUnusedVariables: used by background.js and popup.js
+function runExtractors(extractors, maxLength, maxMatches) {
+  const findNodes = (extractor) => {
+    if (extractor.type === "css") {
+      return extractor.all
+        ? [...document.querySelectorAll(extractor.selector)]
+        : [document.querySelector(extractor.selector)].filter(Boolean);
+    }
+
+    const result = document.evaluate(
+      extractor.selector,
+      document,
+      null,
+      XPathResult.ANY_TYPE,
+      null,
+    );
+    switch (result.resultType) {
+      case XPathResult.NUMBER_TYPE:
+        return { scalar: result.numberValue };
+      case XPathResult.STRING_TYPE:
+        return { scalar: result.stringValue };
+      case XPathResult.BOOLEAN_TYPE:
+        return { scalar: result.booleanValue };
+      default: {
+        const nodes = [];
+        for (
+          let node = result.iterateNext();
+          node && (extractor.all || nodes.length === 0);
+          node = result.iterateNext()
+        ) {
+          nodes.push(node);
+        }
+        return nodes;
+      }
+    }
+  };
+
+  const readNode = (extractor, node) => {
+    let value;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      // Attribute and text nodes selected by XPath (`//a/@href`, `//h1/text()`)
+      value = extractor.read === "attribute" ? null : node.textContent.trim();
+    } else if (extractor.read === "html") {
+      value = node.innerHTML;
+    } else if (extractor.read === "attribute") {
+      value = node.getAttribute(extractor.attribute);
+      if (value && ["href", "src"].includes(extractor.attribute)) {
+        try {
+          value = new URL(value, document.baseURI).href;
+        } catch {
+          // Keep values that are not URLs as they are
+        }
+      }
+    } else {
+      value = (node.innerText ?? node.textContent).trim();
+    }
+    return typeof value === "string" ? value.slice(0, maxLength) : value;
+  };
+
+  return extractors.map((extractor) => {
+    try {
+      const nodes = findNodes(extractor);
+      if (!Array.isArray(nodes)) return { value: nodes.scalar, error: null };
+      const values = nodes
+        .slice(0, maxMatches)
+        .map((node) => readNode(extractor, node))
+        .filter((value) => value !== null);
+      return {
+        value: extractor.all ? values : (values[0] ?? null),
+        error: null,
+      };
+    } catch (error) {
+      return { value: extractor.all ? [] : null, error: error.message };
+    }
+  });
+}
@@ -96,6 +96,28 @@ function renderFieldsFromCustomFields(fields) {
   return fields.map(renderField).join("");
 }
 
+/** Show the screenshot taken for this capture so it can be left out before sending */
+function showScreenshotPreview(screenshots) {
+  const taken = Object.values(screenshots || {}).filter(
+    (screenshot) => screenshot.data,
+  );
+  if (taken.length === 0) return;
+
+  const [first] = taken;
+  const preview = document.getElementById("screenshot-preview");
+  document.getElementById("screenshot-thumbnail").src =
+    `data:${first.mimeType};base64,${first.data}`;
+  document.getElementById("screenshot-details").textContent =
+    `(${first.width}×${first.height}${taken.length > 1 ? `, ${taken.length} screenshots` : ""})`;
+  preview.hidden = false;
+
+  document
+    .getElementById("include-screenshot")
+    .addEventListener("change", (event) => {
+      preview.classList.toggle("is-dropped", !event.target.checked);
+    });
+}
+
 document.addEventListener("DOMContentLoaded", () => {
   chrome.storage.local.get("pendingWebhook", (data) => {
     if (chrome.runtime.lastError) {
@@ -122,6 +144,7 @@ document.addEventListener("DOMContentLoaded", () => {
         JSON.stringify(webhookConfig, null, 2);
       document.getElementById("custom-field-output").innerHTML =
         renderFieldsFromCustomFields(pendingWebhook.webhook.customFields);
+      showScreenshotPreview(pendingWebhook.screenshots);
     } else {
       console.log("No pendingWebhook found in storage.");
     }
@@ -141,6 +164,8 @@ document.addEventListener("DOMContentLoaded", () => {
       {
         type: "sendWebhookWithCustomFields",
         customFields,
+        includeScreenshot:
+          document.getElementById("include-screenshot").checked,
       },
       () => {
         // Close the modal window after the message has been sent
@@ -0,0 +1,15 @@
+// Offscreen document for work the service worker cannot do without a DOM, such as writing to the clipboard
+
+chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+  if (request.target !== "offscreen") return;
+
+  if (request.type === "copyToClipboard") {
+    // navigator.clipboard needs a focused document, so fall back to a selected textarea
+    const textarea = document.getElementById("clipboard");
+    textarea.value = request.text;
+    textarea.select();
+    const copied = document.execCommand("copy");
+    textarea.value = "";
+    sendResponse({ ok: copied });
+  }
+});
@@ -0,0 +1,151 @@
+// URL match rules that limit where a webhook appears, shared by the background worker (menus) and the popup (validation)
+
+/**
+ * Converts a glob to regular expression source, escaping everything except `*`.
+ *
+ * @param {string} text - The glob.
+ * @param {string} wildcard - The regex source that `*` stands for.
+ * @returns {string} The regex source.
+ */
+function globToRegex(text, wildcard) {
+  return text
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(wildcard);
+}
+
+/**
+ * Parses one include or exclude pattern. Patterns are either regular expressions
+ * written as `/expression/flags`, or globs where `*` matches anything. A glob without
+ * a scheme matches `http` and `https`, and a glob without a path matches every page on the host,
+ * so `github.com`, `*.atlassian.net/browse/*` and `https://www.youtube.com/watch*` all work.
+ *
+ * @param {string} pattern - The pattern as entered in the webhook form.
+ * @returns {{regex: RegExp|null, matchPattern: string|null, error: string|null}} The regex to test URLs with,
+ *   the equivalent Chrome match pattern (null when there is none, e.g. for regexes), or an error message.
+ */
+function parseUrlPattern(pattern) {
+  const regexLiteral = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexLiteral) {
+    // `g` and `y` make `test` remember where it stopped, so the same URL could match once and then not
+    if (/[gy]/.test(regexLiteral[2])) {
+      return {
+        regex: null,
+        matchPattern: null,
+        error: "The g and y flags are not supported",
+      };
+    }
+    try {
+      return {
+        regex: new RegExp(regexLiteral[1], regexLiteral[2]),
+        matchPattern: null,
+        error: null,
+      };
+    } catch (error) {
+      return { regex: null, matchPattern: null, error: error.message };
+    }
+  }
+
+  // A leading `*` that is not a `*.` subdomain wildcard can span the whole URL, e.g. `*/settings*`
+  if (/^\*(?!\.)/.test(pattern) && !pattern.includes("://")) {
+    return {
+      regex: new RegExp(`^https?://${globToRegex(pattern, ".*")}$`, "i"),
+      matchPattern: null,
+      error: null,
+    };
+  }
+
+  let glob = pattern;
+  if (!/^[a-z*]+:\/\//i.test(glob)) {
+    glob = `*://${glob}`;
+  }
+  if (!/^[a-z*]+:\/\/[^/]*\//i.test(glob)) {
+    glob = `${glob}/*`;
+  }
+
+  const [, scheme, host, path] = glob.match(/^([a-z*]+):\/\/([^/]*)(\/.*)$/i);
+  if (!host && scheme.toLowerCase() !== "file") {
+    return { regex: null, matchPattern: null, error: "The host is missing" };
+  }
+  if (/[\s<>"{}|\\^`]/.test(host)) {
+    return {
+      regex: null,
+      matchPattern: null,
+      error: `"${host}" is not a valid host`,
+    };
+  }
+  // Like Chrome, `*.example.com` also matches `example.com` itself
+  const hostSource = host.startsWith("*.")
+    ? `([^/]*\\.)?${globToRegex(host.slice(2), "[^/]*")}`
+    : globToRegex(host, "[^/]*");
+  const regex = new RegExp(
+    `^${scheme === "*" ? "https?" : globToRegex(scheme, "[a-z]*")}://${hostSource}${globToRegex(path, ".*")}$`,
+    "i",
+  );
+
+  // Chrome match patterns only allow `*` as the whole host or as a leading `*.`
+  const isMatchPattern =
+    /^(\*|https?|file|ftp)$/i.test(scheme) &&
+    (host === "*" || /^(\*\.)?[^*]+$/.test(host));
+
+  return {
+    regex,
+    matchPattern: isMatchPattern ? `${scheme}://${host}${path}` : null,
+    error: null,
+  };
+}
+
+/**
+ * Checks every include and exclude pattern of a webhook's rules.
+ *
+ * @param {{include: Array<string>, exclude: Array<string>}} rules - The webhook's URL rules.
+ * @returns {string|null} A message naming the first invalid pattern, or null when all are valid.
+ */
+// biome-ignore lint/correctness/noUnusedVariables: used by background.js and popup.js
+function urlRulesError(rules) {
+  for (const [label, patterns] of [
+    ["Only On", rules.include],
+    ["Never On", rules.exclude],
+  ]) {
+    for (const pattern of patterns) {
+      const { error } = parseUrlPattern(pattern);
+      if (error) return `Invalid ${label} pattern "${pattern}": ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a URL against a webhook's rules: it must match one of the include patterns
+ * (when there are any) and none of the exclude patterns. Invalid patterns never match.
+ *
+ * @param {{include: Array<string>, exclude: Array<string>}} rules - The webhook's URL rules.
+ * @param {string|null|undefined} url - The page or link URL to check.
+ * @returns {boolean} True when the webhook applies to the URL.
+ */
+// biome-ignore lint/correctness/noUnusedVariables: used by background.js and popup.js
+function matchesUrlRules(rules, url) {
+  if (!url) return false;
+  const matches = (pattern) => parseUrlPattern(pattern).regex?.test(url);
+  return (
+    (rules.include.length === 0 || rules.include.some(matches)) &&
+    !rules.exclude.some(matches)
+  );
+}
+
+/**
+ * Converts a webhook's include patterns into Chrome match patterns for a menu item's
+ * `documentUrlPatterns` or `targetUrlPatterns`, so Chrome itself hides the item elsewhere.
+ *
+ * @param {{include: Array<string>, exclude: Array<string>}} rules - The webhook's URL rules.
+ * @returns {Array<string>|null} The match patterns, or null when the includes cannot all be
+ *   expressed as match patterns (or there are none) and every URL has to be checked instead.
+ */
+// biome-ignore lint/correctness/noUnusedVariables: used by background.js
+function toMenuUrlPatterns(rules) {
+  if (rules.include.length === 0) return null;
+  const patterns = rules.include.map(
+    (pattern) => parseUrlPattern(pattern).matchPattern,
+  );
+  return patterns.every(Boolean) ? patterns : null;
+}
@@ -187,6 +187,182 @@ function validateURL(url) {
   }
 }
 
+/**
+ * Parses the custom headers textarea, one `Name: value` pair per line.
+ * Blank lines and lines starting with `#` are ignored.
+ * @param {string} text - The raw headers text from the form.
+ * @returns {{headers: Array<{name: string, value: string}>, error: string|null}} The parsed headers, or an error message for the first invalid line.
+ */
+function parseHeaderLines(text) {
+  const headers = [];
+  const lines = text.split("\n").map((line) => line.trim());
+
+  for (const line of lines) {
+    if (!line || line.startsWith("#")) continue;
+
+    const separator = line.indexOf(":");
+    const name = separator > 0 ? line.slice(0, separator).trim() : "";
+    if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+      return { headers: [], error: `Invalid header line: "${line}"` };
+    }
+
+    headers.push({ name, value: line.slice(separator + 1).trim() });
+  }
+
+  return { headers, error: null };
+}
+
+/**
+ * Formats stored headers back into the `Name: value` lines used by the form.
+ * @param {Array<{name: string, value: string}>} [headers=[]] - The stored headers.
+ * @returns {string} The headers as multiline text.
+ */
+function formatHeaderLines(headers = []) {
+  return headers.map((header) => `${header.name}: ${header.value}`).join("\n");
+}
+
+/**
+ * Builds the `auth` settings object from the webhook form.
+ * Only the fields used by the selected authentication type are kept.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {{auth: object|null, error: string|null}} The auth settings (null for none), or an error message.
+ */
+function readAuthSettings(formData) {
+  const type = formData.get("authType");
+  const value = (field) => (formData.get(field) || "").trim();
+
+  switch (type) {
+    case "bearer":
+      if (!value("authToken")) {
+        return { auth: null, error: "A bearer token is required." };
+      }
+      return { auth: { type, token: value("authToken") }, error: null };
+
+    case "basic":
+      if (!value("authUsername")) {
+        return { auth: null, error: "A username is required for Basic auth." };
+      }
+      return {
+        auth: {
+          type,
+          username: value("authUsername"),
+          password: formData.get("authPassword") || "",
+        },
+        error: null,
+      };
+
+    case "apiKeyHeader":
+    case "apiKeyQuery":
+      if (!value("authKeyValue")) {
+        return { auth: null, error: "An API key value is required." };
+      }
+      return {
+        auth: {
+          type,
+          keyName: value("authKeyName"),
+          keyValue: value("authKeyValue"),
+        },
+        error: null,
+      };
+
+    default:
+      return { auth: null, error: null };
+  }
+}
+
+/**
+ * Generates a random signing secret.
+ * @returns {string} 32 random bytes, hex encoded.
+ */
+function generateSigningSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Builds the `signing` settings object from the webhook form.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {object|null} The signing settings, or null when no secret is set.
+ */
+function readSigningSettings(formData) {
+  const secret = (formData.get("signingSecret") || "").trim();
+  if (!secret) return null;
+
+  return {
+    secret,
+    signatureHeader:
+      (formData.get("signatureHeader") || "").trim() || "X-Signature",
+    timestampHeader:
+      (formData.get("timestampHeader") || "").trim() || "X-Timestamp",
+  };
+}
+
+/**
+ * Response handling paths, keyed by the webhook's `response` setting.
+ */
+const RESPONSE_FIELDS = [
+  { key: "messagePath", id: "responseMessagePath" },
+  { key: "linkPath", id: "responseLinkPath" },
+  { key: "copyPath", id: "responseCopyPath" },
+  { key: "successPath", id: "responseSuccessPath" },
+];
+
+/**
+ * Builds the `response` settings object from the webhook form.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {object|null} The response handling paths, or null when none are set.
+ */
+function readResponseSettings(formData) {
+  const response = Object.fromEntries(
+    RESPONSE_FIELDS.map((field) => [
+      field.key,
+      (formData.get(field.id) || "").trim(),
+    ]),
+  );
+  return Object.values(response).some(Boolean) ? response : null;
+}
+
+/**
+ * Shows the signing options and receiver recipe only when a secret is set,
+ * and refreshes the recipe with the configured header names.
+ */
+function updateSigningFields() {
+  const hasSecret = document.getElementById("signingSecret").value.trim();
+  document.querySelectorAll(".signing-fields").forEach((field) => {
+    field.classList.toggle("hidden", !hasSecret);
+  });
+
+  const signatureHeader = (
+    document.getElementById("signatureHeader").value.trim() || "X-Signature"
+  ).toLowerCase();
+  const timestampHeader = (
+    document.getElementById("timestampHeader").value.trim() || "X-Timestamp"
+  ).toLowerCase();
+
+  document.getElementById("signing-recipe").textContent =
+    `const crypto = require("node:crypto");
+
+// rawBody is the unparsed request body (the query string without "?" for GET)
+function verify(rawBody, headers, secret) {
+  const timestamp = headers["${timestampHeader}"];
+  const received = headers["${signatureHeader}"] || "";
+  const expected = \`sha256=\${crypto
+    .createHmac("sha256", secret)
+    .update(\`\${timestamp}.\${rawBody}\`)
+    .digest("hex")}\`;
+
+  // Reject stale requests to prevent replays
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > 300) return false;
+
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+  );
+}`;
+}
+
 /**
  * Displays a temporary message to the user in a designated container.
  * The message will automatically hide after a short delay.
@@ -278,13 +454,85 @@ function createWebhookCard(hook, index) {
   const meta = document.createElement("div");
   meta.className = "webhook-meta";
 
-  if (hook.rateLimit && hook.rateLimit > 0) {
+  if (hook.rateLimit) {
+    const { capacity, refill, interval } = hook.rateLimit;
     const rateBadge = document.createElement("span");
     rateBadge.className = "badge badge-rate-limit";
-    rateBadge.textContent = `${hook.rateLimit}s limit`;
+    rateBadge.textContent = `${refill}/${interval}s${capacity > 1 ? `, burst ${capacity}` : ""}`;
     meta.appendChild(rateBadge);
   }
 
+  if (hook.dedup) {
+    const dedupBadge = document.createElement("span");
+    dedupBadge.className = "badge badge-rate-limit";
+    dedupBadge.textContent = `${hook.dedup.window}s dedup`;
+    meta.appendChild(dedupBadge);
+  }
+
+  if (hook.batch) {
+    const batchBadge = document.createElement("span");
+    batchBadge.className = "badge badge-rate-limit";
+    batchBadge.textContent = `Batch ${[
+      hook.batch.size,
+      hook.batch.wait && `${hook.batch.wait}m`,
+    ]
+      .filter(Boolean)
+      .join(" / ")}`;
+    meta.appendChild(batchBadge);
+  }
+
+  if (hook.urlRules) {
+    const rulesBadge = document.createElement("span");
+    rulesBadge.className = "badge badge-rate-limit";
+    rulesBadge.title = [
+      ...hook.urlRules.include,
+      ...hook.urlRules.exclude.map((pattern) => `not ${pattern}`),
+    ].join("\n");
+    rulesBadge.innerHTML = hook.urlRules.promote
+      ? '<i class="fa fa-star"></i> Site default'
+      : '<i class="fa fa-filter"></i> Some sites';
+    meta.appendChild(rulesBadge);
+  }
+
+  if (hook.destinationType && hook.destinationType !== "generic") {
+    const destinationBadge = document.createElement("span");
+    destinationBadge.className = "badge badge-destination";
+    destinationBadge.textContent =
+      document.querySelector(
+        `#destinationType option[value="${hook.destinationType}"]`,
+      )?.textContent || hook.destinationType;
+    meta.appendChild(destinationBadge);
+  }
+
+  if (
+    hook.method &&
+    hook.method !== "POST" &&
+    (hook.destinationType || "generic") === "generic"
+  ) {
+    const methodBadge = document.createElement("span");
+    methodBadge.className = "badge badge-request";
+    methodBadge.textContent = hook.method;
+    meta.appendChild(methodBadge);
+  }
+
+  if (
+    hook.encoding &&
+    hook.encoding !== "json" &&
+    (hook.destinationType || "generic") === "generic"
+  ) {
+    const encodingBadge = document.createElement("span");
+    encodingBadge.className = "badge badge-request";
+    encodingBadge.textContent = hook.encoding;
+    meta.appendChild(encodingBadge);
+  }
+
+  if (hook.auth) {
+    const authBadge = document.createElement("span");
+    authBadge.className = "badge badge-request";
+    authBadge.innerHTML = '<i class="fa fa-lock"></i> Auth';
+    meta.appendChild(authBadge);
+  }
+
   if (hook.customFields && hook.customFields.length > 0) {
     const customBadge = document.createElement("span");
     customBadge.className = "badge badge-customs-enabled";
@@ -364,12 +612,13 @@ function loadWebhooks() {
  * On first click, it changes the button text to "Confirm?". On second click, it performs the deletion.
  * If the user clicks outside the button after the first click, the button reverts to its original state.
  * @param {HTMLElement} button - The delete button element that was clicked.
- * @param {number} index - The index of the webhook to be deleted.
+ * @param {number} index - The index of the webhook (or group) to be deleted.
+ * @param {Function} [onConfirm=deleteWebhook] - Performs the deletion.
  */
-function handleDeleteClick(button, index) {
+function handleDeleteClick(button, index, onConfirm = deleteWebhook) {
   if (button.classList.contains("confirm-delete")) {
     // If button already clicked once, perform the deletion
-    deleteWebhook(index);
+    onConfirm(index);
   } else {
     // First click, prompt for confirmation
     button.innerHTML = '<i class="fa fa-check"></i> Confirm?';
@@ -413,12 +662,121 @@ function editWebhook(index) {
     // Fill form
     document.getElementById("url").value = webhook.url;
     document.getElementById("name").value = webhook.name;
-    document.getElementById("rateLimit").value = webhook.rateLimit || "";
+    document.getElementById("rateLimitRequests").value =
+      webhook.rateLimit?.refill || "";
+    document.getElementById("rateLimitInterval").value =
+      webhook.rateLimit?.interval || "";
+    document.getElementById("rateLimitBurst").value =
+      webhook.rateLimit?.capacity || "";
+    document.getElementById("dedupWindow").value = webhook.dedup?.window || "";
+    document.getElementById("dedupMode").value = webhook.dedup?.mode || "skip";
+    document.getElementById("batchSize").value = webhook.batch?.size || "";
+    document.getElementById("batchWait").value = webhook.batch?.wait || "";
+    document.getElementById("urlRulesMatchOn").value =
+      webhook.urlRules?.matchOn || "page";
+    document.getElementById("urlRulesInclude").value = (
+      webhook.urlRules?.include || []
+    ).join("\n");
+    document.getElementById("urlRulesExclude").value = (
+      webhook.urlRules?.exclude || []
+    ).join("\n");
+    document.getElementById("urlRulesPromote").checked = Boolean(
+      webhook.urlRules?.promote,
+    );
+    document.getElementById("url-rules-settings").open = Boolean(
+      webhook.urlRules,
+    );
+    document.getElementById("extractorsRaw").value = formatExtractorLines(
+      webhook.extractors,
+    );
+    document.getElementById("extractor-settings").open = Boolean(
+      webhook.extractors?.length,
+    );
     document.getElementById("customFieldsRaw").value =
       webhook.customFieldsRaw || "";
     document.getElementById("customFields").value = JSON.stringify(
       webhook.customFields || "",
     );
+    document.getElementById("destinationType").value =
+      webhook.destinationType || "generic";
+    document.getElementById("teamsFormat").value =
+      webhook.destinationOptions?.teamsFormat || "messageCard";
+    document.getElementById("matrixRoomId").value =
+      webhook.destinationOptions?.roomId || "";
+    updateDestinationFields();
+    document.getElementById("method").value = webhook.method || "POST";
+    document.getElementById("encoding").value = webhook.encoding || "json";
+    document.getElementById("timeout").value = webhook.timeout || "";
+    document.getElementById("attachMediaMode").value =
+      webhook.attachMedia?.mode || "off";
+    document.getElementById("attachMediaMaxMb").value = webhook.attachMedia
+      ? Math.round((webhook.attachMedia.maxBytes / 1024 / 1024) * 10) / 10
+      : "";
+    document.getElementById("articleEnabled").checked = Boolean(
+      webhook.article,
+    );
+    document.getElementById("articleMaxLength").value =
+      webhook.article?.maxLength || "";
+    document.getElementById("screenshotMode").value =
+      webhook.screenshot?.mode || "off";
+    document.getElementById("screenshotFormat").value =
+      webhook.screenshot?.format || "png";
+    document.getElementById("screenshotAttach").value =
+      webhook.screenshot?.attach || "base64";
+    document.getElementById("unfurlEnabled").checked = Boolean(webhook.unfurl);
+    updateDestinationFields();
+    document.getElementById("headersRaw").value = formatHeaderLines(
+      webhook.headers,
+    );
+
+    const auth = webhook.auth || {};
+    document.getElementById("authType").value = auth.type || "none";
+    document.getElementById("authToken").value = auth.token || "";
+    document.getElementById("authUsername").value = auth.username || "";
+    document.getElementById("authPassword").value = auth.password || "";
+    document.getElementById("authKeyName").value = auth.keyName || "";
+    document.getElementById("authKeyValue").value = auth.keyValue || "";
+    updateAuthFields();
+
+    const signing = webhook.signing || {};
+    document.getElementById("signingSecret").value = signing.secret || "";
+    document.getElementById("signatureHeader").value =
+      signing.signatureHeader || "";
+    document.getElementById("timestampHeader").value =
+      signing.timestampHeader || "";
+    updateSigningFields();
+
+    document.getElementById("bodyTemplate").value = webhook.bodyTemplate || "";
+    updateTemplatePreview();
+
+    RETRY_FIELDS.forEach((field) => {
+      document.getElementById(field.id).value =
+        webhook.retry?.[field.key] ?? "";
+    });
+    document.getElementById("retry-settings").open = Boolean(webhook.retry);
+
+    RESPONSE_FIELDS.forEach((field) => {
+      document.getElementById(field.id).value =
+        webhook.response?.[field.key] || "";
+    });
+    document.getElementById("response-settings").open = Boolean(
+      webhook.response,
+    );
+
+    // Open request settings when they differ from the defaults
+    document.getElementById("request-settings").open = Boolean(
+      webhook.auth ||
+        webhook.timeout ||
+        webhook.signing ||
+        webhook.bodyTemplate ||
+        webhook.attachMedia ||
+        webhook.article ||
+        webhook.screenshot ||
+        webhook.unfurl ||
+        (webhook.encoding || "json") !== "json" ||
+        webhook.headers?.length ||
+        (webhook.method || "POST") !== "POST",
+    );
 
     // Update form UI for editing
     document.getElementById("form-title").innerHTML =
@@ -442,7 +800,7 @@ function editWebhook(index) {
  * @param {number} index - The index of the webhook to be deleted.
  */
 function deleteWebhook(index) {
-  chrome.storage.local.get("webhooks", (data) => {
+  chrome.storage.local.get({ webhooks: [], webhookGroups: [] }, (data) => {
     if (chrome.runtime.lastError) {
       console.error("Failed to fetch webhooks:", chrome.runtime.lastError);
       showError("Error fetching webhooks. Please try again.");
@@ -452,7 +810,11 @@ function deleteWebhook(index) {
     const webhooks = data.webhooks;
     const deletedWebhook = webhooks[index];
     webhooks.splice(index, 1);
-    chrome.storage.local.set({ webhooks: webhooks }, () => {
+    const webhookGroups = removeGroupMember(
+      data.webhookGroups,
+      deletedWebhook.id,
+    );
+    chrome.storage.local.set({ webhooks, webhookGroups }, () => {
       if (chrome.runtime.lastError) {
         console.error("Failed to delete webhook:", chrome.runtime.lastError);
         showError("Error deleting webhook. Please try again.");
@@ -461,10 +823,397 @@ function deleteWebhook(index) {
       console.log("Webhook deleted!");
       showSuccess(`Webhook "${deletedWebhook.name}" deleted successfully!`);
       loadWebhooks(); // Refresh list after deleting
+      loadGroups();
+    });
+  });
+}
+
+/**
+ * Removes a deleted webhook from every group it belongs to. Groups list their
+ * members by webhook id.
+ * @param {Array<object>} groups - The stored webhook groups.
+ * @param {string} id - The deleted webhook's id.
+ * @returns {Array<object>} The updated groups.
+ */
+function removeGroupMember(groups, id) {
+  return groups.map((group) => ({
+    ...group,
+    webhooks: group.webhooks.filter((member) => member !== id),
+  }));
+}
+
+/**
+ * The key history entries and dead letters are grouped and filtered by: the webhook's
+ * id, or its URL for entries saved before webhooks had one.
+ * @param {{id?: string, url: string}} webhook - The webhook saved with the entry.
+ * @returns {string} The webhook key.
+ */
+function deliveredWebhookKey(webhook) {
+  return webhook.id || webhook.url;
+}
+
+/**
+ * Creates a card for a webhook group, listing its members with Edit and Delete actions.
+ * @param {object} group - The stored group (`name` and member `webhooks` ids).
+ * @param {number} index - The index of the group in the stored array.
+ * @param {Array<object>} webhooks - The stored webhooks, used to name the members.
+ * @returns {HTMLElement} The group card element.
+ */
+function createGroupCard(group, index, webhooks) {
+  const card = document.createElement("div");
+  card.className = "webhook-card";
+
+  const header = document.createElement("div");
+  header.className = "webhook-header";
+  const titleContainer = document.createElement("div");
+  const title = document.createElement("h4");
+  title.className = "webhook-title";
+  title.textContent = group.name;
+  const members = document.createElement("div");
+  members.className = "webhook-url";
+  members.textContent =
+    group.webhooks
+      .map((id) => webhooks.find((webhook) => webhook.id === id)?.name)
+      .filter(Boolean)
+      .join(", ") || "No webhooks";
+  titleContainer.appendChild(title);
+  titleContainer.appendChild(members);
+  header.appendChild(titleContainer);
+  card.appendChild(header);
+
+  const actions = document.createElement("div");
+  actions.className = "webhook-actions";
+
+  const editButton = document.createElement("button");
+  editButton.className = "btn btn-sm btn-secondary";
+  editButton.innerHTML = '<i class="fa fa-edit"></i> Edit';
+  editButton.onclick = () => {
+    editGroup(index);
+  };
+
+  const deleteButton = document.createElement("button");
+  deleteButton.className = "btn btn-sm btn-danger";
+  deleteButton.innerHTML = '<i class="fa fa-trash"></i>';
+  deleteButton.onclick = () => {
+    handleDeleteClick(deleteButton, index, deleteGroup);
+  };
+
+  actions.appendChild(editButton);
+  actions.appendChild(deleteButton);
+  card.appendChild(actions);
+
+  return card;
+}
+
+/**
+ * Loads webhook groups from storage and renders them below the webhooks.
+ */
+function loadGroups() {
+  chrome.storage.local.get({ webhooks: [], webhookGroups: [] }, (data) => {
+    const list = document.getElementById("groupList");
+    list.innerHTML = "";
+    data.webhookGroups.forEach((group, index) => {
+      list.appendChild(createGroupCard(group, index, data.webhooks));
+    });
+
+    document
+      .getElementById("group-empty-text")
+      .classList.toggle("hidden", data.webhookGroups.length > 0);
+    // A group needs webhooks to choose from
+    document.getElementById("add-group-btn").disabled =
+      data.webhooks.length === 0;
+  });
+}
+
+/**
+ * Shows the group form, filled in with an existing group when editing.
+ * @param {number|null} index - The index of the group to edit, or null for a new group.
+ */
+function editGroup(index) {
+  chrome.storage.local.get({ webhooks: [], webhookGroups: [] }, (data) => {
+    const group =
+      index === null ? { name: "", webhooks: [] } : data.webhookGroups[index];
+    const container = document.getElementById("group-form-container");
+
+    const form = document.createElement("form");
+    form.className = "webhook-card mb-md";
+    form.innerHTML = `
+      <div class="form-group">
+        <label>Group Name</label>
+        <input type="text" name="name" class="form-input" placeholder="Share everywhere" required>
+      </div>
+      <div class="form-group">
+        <label>Webhooks</label>
+        <div class="group-members"></div>
+      </div>
+      <div class="webhook-actions">
+        <button type="submit" class="btn btn-sm btn-primary"><i class="fa fa-save"></i> Save Group</button>
+        <button type="button" class="btn btn-sm btn-secondary" data-action="cancel">Cancel</button>
+      </div>`;
+    form.elements.name.value = group.name;
+
+    const memberList = form.querySelector(".group-members");
+    data.webhooks.forEach((webhook) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.name = "webhooks";
+      checkbox.value = webhook.id;
+      checkbox.checked = group.webhooks.includes(webhook.id);
+      label.appendChild(checkbox);
+      label.append(` ${webhook.name}`);
+      memberList.appendChild(label);
+    });
+
+    form.querySelector('[data-action="cancel"]').onclick = () => {
+      container.innerHTML = "";
+    };
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const formData = new FormData(form);
+      const name = formData.get("name").trim();
+      const webhooks = formData.getAll("webhooks");
+      if (!name) {
+        showError("A group name is required.");
+        return;
+      }
+      if (webhooks.length === 0) {
+        showError("Choose at least one webhook for the group.");
+        return;
+      }
+
+      const webhookGroups = data.webhookGroups;
+      if (index === null) {
+        webhookGroups.push({ name, webhooks });
+      } else {
+        webhookGroups[index] = { name, webhooks };
+      }
+
+      chrome.storage.local.set({ webhookGroups }, () => {
+        if (chrome.runtime.lastError) {
+          console.error("Failed to save the group:", chrome.runtime.lastError);
+          showError("Error saving group. Please try again.");
+          return;
+        }
+        showSuccess(`Group "${name}" saved successfully!`);
+        container.innerHTML = "";
+        loadGroups();
+      });
+    };
+
+    container.innerHTML = "";
+    container.appendChild(form);
+    form.elements.name.focus();
+  });
+}
+
+/**
+ * Deletes the webhook group at the specified index.
+ * @param {number} index - The index of the group to delete.
+ */
+function deleteGroup(index) {
+  chrome.storage.local.get({ webhookGroups: [] }, (data) => {
+    const [deletedGroup] = data.webhookGroups.splice(index, 1);
+    chrome.storage.local.set({ webhookGroups: data.webhookGroups }, () => {
+      if (chrome.runtime.lastError) {
+        console.error("Failed to delete group:", chrome.runtime.lastError);
+        showError("Error deleting group. Please try again.");
+        return;
+      }
+      showSuccess(`Group "${deletedGroup.name}" deleted successfully!`);
+      document.getElementById("group-form-container").innerHTML = "";
+      loadGroups();
     });
   });
 }
 
+/**
+ * Initializes the webhook groups section: the New Group button and the group list.
+ */
+function initializeGroups() {
+  document.getElementById("add-group-btn").addEventListener("click", () => {
+    editGroup(null);
+  });
+  loadGroups();
+}
+
+/**
+ * Builds the sample payload sent by the Test button and used for template previews.
+ * The article, screenshot, link target and extracted values are only included when
+ * the webhook captures them, so previews and size checks match real deliveries.
+ * @param {object} [webhook={}] - The webhook (or its capture settings from the form).
+ * @returns {object} A payload with the fields a real capture for this webhook can contain.
+ */
+function buildTestPayload(webhook = {}) {
+  const payload = {
+    id: crypto.randomUUID(),
+    url: "https://example.com/image.jpg",
+    pageUrl: "https://example.com/article",
+    timestamp: new Date().toISOString(),
+    type: "test",
+    title: "Testing",
+    description: "Testing description from meta tag",
+    keywords: "technology, programming, tutorial",
+    favicon: "https://example.com/favicon.ico",
+    linkTitle: "Title if it was a link type",
+    altText: "Image alt text if it was a link type",
+    customFields: { note: "Additional note content if there was some" },
+    selectedText: "The selected text if there was a selection",
+    browser: "Chrome/139.0.0.0",
+    operatingSystem: "mac",
+    deviceType: "Desktop",
+    screenResolution: "1920x1080",
+    windowSize: "1200x800",
+    metadata: {
+      canonicalUrl: "https://example.com/article",
+      siteName: "Example News",
+      author: "Jane Doe",
+      publishedTime: "2024-06-28T09:00:00Z",
+      modifiedTime: "2024-06-28T12:30:00Z",
+      lang: "en-US",
+      image: "https://example.com/lead.jpg",
+      openGraph: { title: "Testing", type: "article" },
+      twitter: { card: "summary_large_image" },
+      jsonLd: [{ "@type": "NewsArticle", headline: "Testing" }],
+    },
+    selection: {
+      text: "The selected text if there was a selection",
+      html: "<p>The selected text if there was a <em>selection</em></p>",
+      markdown: "The selected text if there was a _selection_",
+      truncated: false,
+      sentence: "The selected text if there was a selection.",
+      paragraph: "The selected text if there was a selection.",
+      heading: { text: "Introduction", level: 2, id: "introduction" },
+      anchor: {
+        id: "introduction",
+        url: "https://example.com/article#introduction",
+      },
+      textFragmentUrl:
+        "https://example.com/article#:~:text=The%20selected%20text%20if%20there%20was%20a%20selection",
+    },
+  };
+
+  if (webhook.article) {
+    payload.article = {
+      title: "Testing",
+      text: "Introduction\n\nThe first paragraph of the article.",
+      markdown:
+        "## Introduction\n\nThe first paragraph of the [article](https://example.com/more).",
+      html: '<h2>Introduction</h2>\n<p>The first paragraph of the <a href="https://example.com/more">article</a>.</p>',
+      wordCount: 9,
+      readingTime: 1,
+      truncated: false,
+    };
+  }
+  if (webhook.screenshot) {
+    // A 1x1 PNG stands in for the screenshot whatever the format
+    payload.screenshot = {
+      mode: webhook.screenshot.mode,
+      fileName: "screenshot.png",
+      mimeType: "image/png",
+      width: 1,
+      height: 1,
+      size: 68,
+      sha256:
+        "63ef318d96b5d0d0ceba6e04a4e622b1158335cdc67c49e27839132c6f655058",
+      truncated: false,
+      data: "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+    };
+  }
+  if (webhook.unfurl) {
+    payload.target = {
+      url: "https://example.com/short",
+      finalUrl: "https://example.com/articles/testing",
+      redirected: true,
+      status: 200,
+      contentType: "text/html",
+      title: "Testing the link target",
+      description: "Description of the page the link goes to",
+      image: "https://example.com/preview.jpg",
+      siteName: "Example",
+    };
+  }
+  if (webhook.extractors?.length > 0) {
+    payload.extracted = Object.fromEntries(
+      webhook.extractors.map((extractor) => [
+        extractor.name,
+        extractor.all
+          ? [`Sample ${extractor.name} 1`, `Sample ${extractor.name} 2`]
+          : `Sample ${extractor.name}`,
+      ]),
+    );
+  }
+  return payload;
+}
+
+/**
+ * Builds the sample batch payload used for tests and template previews of batching webhooks.
+ * @param {object} [webhook={}] - The webhook (or its capture settings from the form).
+ * @returns {object} A batch of two sample captures.
+ */
+function buildBatchTestPayload(webhook = {}) {
+  const items = [
+    buildTestPayload(webhook),
+    {
+      ...buildTestPayload(webhook),
+      url: "https://example.com/another-article",
+      type: "page",
+      title: "Another capture",
+    },
+  ];
+  return {
+    id: crypto.randomUUID(),
+    type: "batch",
+    timestamp: new Date().toISOString(),
+    count: items.length,
+    items,
+  };
+}
+
+/**
+ * Reads the capture settings that shape the test payload from the webhook form.
+ * @returns {object} The form's article, screenshot, link target and extractor settings.
+ */
+function readFormCaptureSettings() {
+  const formData = new FormData(document.getElementById("webhookForm"));
+  return {
+    article: readArticleSettings(formData).article,
+    screenshot: readScreenshotSettings(formData),
+    unfurl: formData.get("unfurlEnabled") === "on",
+    extractors: parseExtractorLines(formData.get("extractorsRaw") || "")
+      .extractors,
+  };
+}
+
+/**
+ * Renders the body template field against the test payload into the live preview.
+ * Template errors are shown in place of the preview.
+ */
+function updateTemplatePreview() {
+  const template = document.getElementById("bodyTemplate").value;
+  const batching =
+    document.getElementById("batchSize").value ||
+    document.getElementById("batchWait").value;
+  const captureSettings = readFormCaptureSettings();
+  const preview = document.getElementById("template-preview");
+
+  preview.classList.toggle("hidden", !template.trim());
+  preview.classList.remove("has-error");
+  if (!template.trim()) return;
+
+  try {
+    preview.textContent = renderTemplate(
+      template,
+      batching
+        ? buildBatchTestPayload(captureSettings)
+        : buildTestPayload(captureSettings),
+    );
+  } catch (error) {
+    preview.textContent = error.message;
+    preview.classList.add("has-error");
+  }
+}
+
 /**
  * Sends a test payload to a specified webhook URL.
  * Updates the provided button element to show testing status and then success/failure.
@@ -490,73 +1239,46 @@ function testWebhook(index, buttonElement) {
     buttonElement.innerHTML = `<i class="fa fa-spinner fa-spin"></i> Testing`;
     buttonElement.disabled = true;
 
-    const startTime = Date.now();
-    const testPayload = {
-      url: "https://example.com/image.jpg",
-      pageUrl: "https://example.com/article",
-      timestamp: new Date().toISOString(),
-      type: "test",
-      title: "Testing",
-      description: "Testing description from meta tag",
-      keywords: "technology, programming, tutorial",
-      favicon: "https://example.com/favicon.ico",
-      linkTitle: "Title if it was a link type",
-      altText: "Image alt text if it was a link type",
-      customFields: { note: "Additional note content if there was some" },
-      selectedText: "The selected text if there was a selection",
-      browser: "Chrome/139.0.0.0",
-      operatingSystem: "mac",
-      deviceType: "Desktop",
-      screenResolution: "1920x1080",
-      windowSize: "1200x800",
-    };
-
-    fetch(webhook.url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
+    // The background worker sends the request so tests use the exact same
+    // method, headers and authentication as real deliveries. It also picks the
+    // batch sample when the webhook really batches its captures.
+    chrome.runtime.sendMessage(
+      {
+        type: "testWebhook",
+        webhook,
+        payload: buildTestPayload(webhook),
+        batchPayload: buildBatchTestPayload(webhook),
       },
-      body: JSON.stringify(testPayload),
-    })
-      .then((response) => {
-        const endTime = Date.now();
-        const responseTime = endTime - startTime;
-
-        // Reset button
-        buttonElement.innerHTML = originalContent;
+      (result) => {
         buttonElement.disabled = false;
 
-        if (response.ok) {
+        if (chrome.runtime.lastError || !result) {
+          buttonElement.innerHTML = `<i class="fa fa-times" style="color: var(--danger-color);"></i> Error`;
+          showError(
+            `${webhook.name} test error: ${chrome.runtime.lastError?.message || "No response"}`,
+          );
+        } else if (result.ok) {
           buttonElement.innerHTML = `<i class="fa fa-check" style="color: var(--success-color);"></i> Success`;
-          showSuccess(`${webhook.name} test successful (${responseTime}ms)`);
-          setTimeout(() => {
-            buttonElement.innerHTML = originalContent;
-          }, 3000);
+          showSuccess(
+            `${webhook.name} test successful${result.message ? `: ${result.message}` : ""} (${result.responseTime}ms)`,
+          );
+        } else if (result.error) {
+          buttonElement.innerHTML = `<i class="fa fa-times" style="color: var(--danger-color);"></i> Error`;
+          showError(
+            `${webhook.name} test error: ${result.error} (${result.responseTime}ms)`,
+          );
         } else {
           buttonElement.innerHTML = `<i class="fa fa-times" style="color: var(--danger-color);"></i> Failed`;
           showError(
-            `${webhook.name} test failed: HTTP ${response.status} (${responseTime}ms)`,
+            `${webhook.name} test failed: ${result.message || `HTTP ${result.status}`} (${result.responseTime}ms)`,
           );
-          setTimeout(() => {
-            buttonElement.innerHTML = originalContent;
-          }, 3000);
         }
-      })
-      .catch((error) => {
-        const endTime = Date.now();
-        const responseTime = endTime - startTime;
-
-        // Reset button
-        buttonElement.innerHTML = `<i class="fa fa-times" style="color: var(--danger-color);"></i> Error`;
-        buttonElement.disabled = false;
 
-        showError(
-          `${webhook.name} test error: ${error.message} (${responseTime}ms)`,
-        );
         setTimeout(() => {
           buttonElement.innerHTML = originalContent;
         }, 3000);
-      });
+      },
+    );
   });
 }
 
@@ -576,44 +1298,922 @@ function clearForm() {
 
   // Reset form fields
   form.reset();
+  document.getElementById("request-settings").open = false;
+  document.getElementById("url-rules-settings").open = false;
+  document.getElementById("extractor-settings").open = false;
+  document.getElementById("extractors-preview").classList.add("hidden");
+  document.getElementById("retry-settings").open = false;
+  document.getElementById("response-settings").open = false;
+  updateDestinationFields();
+  updateAuthFields();
+  updateSigningFields();
+  updateTemplatePreview();
 }
 
 /**
- * Loads extension settings from Chrome local storage and populates the settings form fields.
- * If no settings are found, default values are used.
+ * Delivery attempts loaded from storage, newest first.
+ * Kept in memory so searching and filtering do not re-read storage.
  */
-function loadSettings() {
-  chrome.storage.local.get(
-    { settings: { notificationInterval: 5 } },
-    (data) => {
-      if (chrome.runtime.lastError) {
-        console.error("Failed to load settings:", chrome.runtime.lastError);
-        return;
-      }
+let deliveryHistory = [];
 
-      document.getElementById("notificationInterval").value =
-        data.settings.notificationInterval;
-    },
-  );
+// Badge shown for each delivery attempt outcome
+const HISTORY_OUTCOMES = {
+  delivered: { label: "Delivered", className: "badge-success" },
+  retrying: { label: "Retried", className: "badge-warning" },
+  parked: { label: "Held offline", className: "badge-warning" },
+  canceled: { label: "Canceled", className: "badge-rate-limit" },
+  failed: { label: "Failed", className: "badge-danger" },
+};
+
+/**
+ * Creates a labelled, preformatted block for the history inspector.
+ * @param {string} heading - The block heading.
+ * @param {string} text - The block content.
+ * @returns {DocumentFragment} The heading and code block.
+ */
+function createHistoryBlock(heading, text) {
+  const fragment = document.createDocumentFragment();
+  const title = document.createElement("h5");
+  title.textContent = heading;
+  const block = document.createElement("pre");
+  block.className = "code-block";
+  block.textContent = text || "(empty)";
+  fragment.appendChild(title);
+  fragment.appendChild(block);
+  return fragment;
 }
 
 /**
- * Initializes event listeners for all tab buttons, allowing them to switch tabs when clicked.
+ * Formats a headers object as `Name: value` lines.
+ * @param {object|undefined} headers - The headers to format.
+ * @returns {string} The header lines.
  */
-function initializeTabs() {
-  document.querySelectorAll(".tab-btn").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      switchTab(btn.dataset.tab);
-    });
-  });
+function formatHistoryHeaders(headers) {
+  return Object.entries(headers || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join("\n");
 }
 
-function initializeCustomFields() {
-  document.querySelectorAll(".custom-fields-input").forEach((field) => {
-    const originalRowCount = parseInt(field.getAttribute("rows") || 3, 10);
-    field.addEventListener("focus", () => {
-      field.setAttribute("rows", originalRowCount + 7);
-    });
+/**
+ * Creates a card for a single delivery attempt, with an inspector for the request
+ * and response and actions to resend or copy the payload.
+ * @param {object} entry - The history entry recorded by the background worker.
+ * @returns {HTMLElement} The history card element.
+ */
+function createHistoryCard(entry) {
+  const card = document.createElement("div");
+  card.className = "webhook-card";
+
+  const header = document.createElement("div");
+  header.className = "webhook-header";
+
+  const titleContainer = document.createElement("div");
+  const title = document.createElement("h4");
+  title.className = "webhook-title";
+  title.textContent = entry.webhook.name;
+
+  const url = document.createElement("div");
+  url.className = "webhook-url";
+  url.textContent = entry.payload.url || entry.webhook.url;
+
+  titleContainer.appendChild(title);
+  titleContainer.appendChild(url);
+  header.appendChild(titleContainer);
+
+  const meta = document.createElement("div");
+  meta.className = "webhook-meta";
+
+  const outcome = HISTORY_OUTCOMES[entry.outcome] || HISTORY_OUTCOMES.failed;
+  const outcomeBadge = document.createElement("span");
+  outcomeBadge.className = `badge ${outcome.className}`;
+  outcomeBadge.textContent = entry.status
+    ? `${outcome.label} ${entry.status}`
+    : outcome.label;
+  meta.appendChild(outcomeBadge);
+
+  const details = [
+    new Date(entry.timestamp).toLocaleString(),
+    `Attempt ${entry.attempt}`,
+  ];
+  if (entry.latency !== null) details.push(`${entry.latency}ms`);
+  details.forEach((text) => {
+    const badge = document.createElement("span");
+    badge.className = "badge badge-rate-limit";
+    badge.textContent = text;
+    meta.appendChild(badge);
+  });
+
+  card.appendChild(header);
+  card.appendChild(meta);
+
+  if (entry.error) {
+    const error = document.createElement("p");
+    error.className = "history-error";
+    error.textContent = entry.error;
+    card.appendChild(error);
+  }
+
+  const inspector = document.createElement("details");
+  inspector.className = "history-details";
+  const summary = document.createElement("summary");
+  summary.textContent = "Inspect request and response";
+  inspector.appendChild(summary);
+  inspector.appendChild(
+    createHistoryBlock("Payload", JSON.stringify(entry.payload, null, 2)),
+  );
+  if (entry.request) {
+    inspector.appendChild(
+      createHistoryBlock(
+        "Request",
+        `${entry.request.method} ${entry.request.url}\n${formatHistoryHeaders(entry.request.headers)}\n\n${entry.request.body}`,
+      ),
+    );
+  }
+  if (entry.response) {
+    inspector.appendChild(
+      createHistoryBlock(
+        "Response",
+        `HTTP ${entry.status}\n${formatHistoryHeaders(entry.response.headers)}\n\n${entry.response.body}`,
+      ),
+    );
+  }
+  card.appendChild(inspector);
+
+  const actions = document.createElement("div");
+  actions.className = "webhook-actions";
+
+  const resendButton = document.createElement("button");
+  resendButton.className = "btn btn-sm btn-secondary";
+  resendButton.innerHTML = '<i class="fa fa-rotate-right"></i> Resend';
+  resendButton.onclick = () => {
+    resendHistoryEntry(entry, resendButton);
+  };
+
+  const copyButton = document.createElement("button");
+  copyButton.className = "btn btn-sm btn-secondary";
+  copyButton.innerHTML = '<i class="fa fa-copy"></i> Copy Payload';
+  copyButton.onclick = () => {
+    navigator.clipboard.writeText(JSON.stringify(entry.payload, null, 2)).then(
+      () => showSuccess("Payload copied to the clipboard."),
+      () => showError("Could not copy the payload."),
+    );
+  };
+
+  actions.appendChild(resendButton);
+  actions.appendChild(copyButton);
+  card.appendChild(actions);
+
+  return card;
+}
+
+/**
+ * Asks the background worker to queue a history entry's payload again.
+ * @param {object} entry - The history entry to resend.
+ * @param {HTMLElement} buttonElement - The resend button, disabled while the request is queued.
+ */
+function resendHistoryEntry(entry, buttonElement) {
+  buttonElement.disabled = true;
+  chrome.runtime.sendMessage(
+    { type: "resendDelivery", entryId: entry.id },
+    (result) => {
+      buttonElement.disabled = false;
+      if (chrome.runtime.lastError || !result?.ok) {
+        showError(
+          `Could not resend: ${chrome.runtime.lastError?.message || result?.error || "No response"}`,
+        );
+        return;
+      }
+      showSuccess(`Payload queued for ${entry.webhook.name}.`);
+    },
+  );
+}
+
+/**
+ * Renders the delivery history, applying the search text and the webhook and result filters.
+ */
+function renderHistory() {
+  const search = document
+    .getElementById("history-search")
+    .value.trim()
+    .toLowerCase();
+  const webhookKey = document.getElementById("history-webhook-filter").value;
+  const outcome = document.getElementById("history-outcome-filter").value;
+
+  const entries = deliveryHistory.filter(
+    (entry) =>
+      (!webhookKey || deliveredWebhookKey(entry.webhook) === webhookKey) &&
+      (!outcome || entry.outcome === outcome) &&
+      (!search ||
+        [
+          entry.webhook.name,
+          entry.webhook.url,
+          entry.error,
+          String(entry.status),
+          JSON.stringify(entry.payload),
+        ].some((text) => text?.toLowerCase().includes(search))),
+  );
+
+  const list = document.getElementById("historyList");
+  list.innerHTML = "";
+  entries.forEach((entry) => {
+    list.appendChild(createHistoryCard(entry));
+  });
+
+  document
+    .getElementById("history-empty-state")
+    .classList.toggle("hidden", entries.length > 0);
+  document.getElementById("history-empty-text").textContent =
+    deliveryHistory.length > 0
+      ? "No deliveries match the current filters"
+      : "Captures you send will be listed here";
+}
+
+/**
+ * Loads the delivery history from Chrome local storage, refreshes the webhook
+ * filter options and renders the list.
+ */
+function loadHistory() {
+  chrome.storage.local.get({ deliveryHistory: [] }, (data) => {
+    if (chrome.runtime.lastError) {
+      console.error("Failed to load history:", chrome.runtime.lastError);
+      showError("Error loading history. Please try again.");
+      return;
+    }
+
+    deliveryHistory = data.deliveryHistory;
+
+    const filter = document.getElementById("history-webhook-filter");
+    const selected = filter.value;
+    const webhooks = new Map(
+      deliveryHistory.map((entry) => [
+        deliveredWebhookKey(entry.webhook),
+        entry.webhook.name,
+      ]),
+    );
+    filter.innerHTML = '<option value="">All webhooks</option>';
+    webhooks.forEach((name, key) => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = name;
+      filter.appendChild(option);
+    });
+    filter.value = webhooks.has(selected) ? selected : "";
+
+    renderHistory();
+  });
+}
+
+/**
+ * Describes where a pending delivery is in its lifecycle.
+ * @param {object} item - A queued or in-flight item from the stored delivery queues.
+ * @param {boolean} inFlight - Whether the item has been sent at least once.
+ * @returns {string} The status text.
+ */
+function describePendingDelivery(item, inFlight) {
+  if (!inFlight) return "Queued";
+  if (item.nextAttemptAt === null) return `Sending (attempt ${item.attempts})`;
+  return `Retrying at ${new Date(item.nextAttemptAt).toLocaleTimeString()}`;
+}
+
+/**
+ * Describes how full a webhook's pending batch is and when it will be sent.
+ * @param {object} batch - The batch from the stored delivery queues.
+ * @returns {string} The status text.
+ */
+function describePendingBatch(batch) {
+  const { size, wait } = batch.webhook.batch || {};
+  const count = `${batch.items.length}${size ? ` of ${size}` : ""} batched`;
+  if (!wait) return count;
+  const sendAt = new Date(batch.startedAt + wait * 60 * 1000);
+  return `${count}, sends at ${sendAt.toLocaleTimeString()}`;
+}
+
+/**
+ * Creates the card for a pending delivery or batch.
+ * @param {string} titleText - The capture's title, or a description of the batch.
+ * @param {string} urlText - The captured URL or the webhook URL.
+ * @param {Array<string>} badges - The status badge texts; the first is highlighted.
+ * @param {Array<HTMLElement>} buttons - The action buttons.
+ * @returns {HTMLElement} The card element.
+ */
+function createPendingCard(titleText, urlText, badges, buttons) {
+  const card = document.createElement("div");
+  card.className = "webhook-card mb-sm";
+
+  const header = document.createElement("div");
+  header.className = "webhook-header";
+  const titleContainer = document.createElement("div");
+  const title = document.createElement("h4");
+  title.className = "webhook-title";
+  title.textContent = titleText;
+  const url = document.createElement("div");
+  url.className = "webhook-url";
+  url.textContent = urlText;
+  titleContainer.appendChild(title);
+  titleContainer.appendChild(url);
+  header.appendChild(titleContainer);
+  card.appendChild(header);
+
+  const meta = document.createElement("div");
+  meta.className = "webhook-meta";
+  badges.forEach((text, index) => {
+    const badge = document.createElement("span");
+    badge.className = `badge ${index === 0 ? "badge-warning" : "badge-rate-limit"}`;
+    badge.textContent = text;
+    meta.appendChild(badge);
+  });
+  card.appendChild(meta);
+
+  const actions = document.createElement("div");
+  actions.className = "webhook-actions";
+  buttons.forEach((button) => {
+    actions.appendChild(button);
+  });
+  card.appendChild(actions);
+
+  return card;
+}
+
+/**
+ * Creates a button that sends a message to the background worker and shows an error
+ * if it fails. The list re-renders from storage on success, so nothing else is needed.
+ * @param {string} html - The button content.
+ * @param {string} className - Extra button classes.
+ * @param {object} message - The message to send.
+ * @param {string} errorPrefix - The start of the error message.
+ * @returns {HTMLElement} The button element.
+ */
+function createPendingActionButton(html, className, message, errorPrefix) {
+  const button = document.createElement("button");
+  button.className = `btn btn-sm ${className}`;
+  button.innerHTML = html;
+  button.onclick = () => {
+    button.disabled = true;
+    chrome.runtime.sendMessage(message, (result) => {
+      if (chrome.runtime.lastError || !result?.ok) {
+        button.disabled = false;
+        showError(
+          `${errorPrefix}: ${chrome.runtime.lastError?.message || result?.error || "No response"}`,
+        );
+      }
+    });
+  };
+  return button;
+}
+
+/**
+ * Creates the cards for a queue's batch, in-flight deliveries and queued deliveries,
+ * in the order they will be sent.
+ * @param {string} key - The queue key.
+ * @param {object} queueData - The queue from the stored delivery queues.
+ * @returns {Array<HTMLElement>} The card elements.
+ */
+function createQueueCards(key, queueData) {
+  const cards = [];
+  const describeCapture = (payload) =>
+    payload.type === "batch"
+      ? `Batch of ${payload.count} captures`
+      : payload.title || payload.url || "Capture";
+
+  if (queueData.batch?.items.length > 0) {
+    const { batch } = queueData;
+    cards.push(
+      createPendingCard(
+        `Batch of ${batch.items.length} capture${batch.items.length === 1 ? "" : "s"}`,
+        batch.webhook.url,
+        [describePendingBatch(batch)],
+        [
+          createPendingActionButton(
+            '<i class="fa fa-paper-plane"></i> Flush Now',
+            "btn-primary",
+            { type: "flushBatch", key },
+            "Could not flush the batch",
+          ),
+        ],
+      ),
+    );
+  }
+
+  queueData.inFlight.forEach((item) => {
+    cards.push(
+      createPendingCard(
+        describeCapture(item.payload),
+        item.payload.url || item.webhook.url,
+        [describePendingDelivery(item, true), item.payload.type || "capture"],
+        [
+          createPendingActionButton(
+            '<i class="fa fa-ban"></i> Cancel',
+            "btn-danger",
+            { type: "cancelDelivery", id: item.id },
+            "Could not cancel",
+          ),
+        ],
+      ),
+    );
+  });
+
+  queueData.queue.forEach((item, index) => {
+    const buttons = [
+      createPendingActionButton(
+        '<i class="fa fa-paper-plane"></i> Send Now',
+        "btn-secondary",
+        { type: "sendNow", id: item.id },
+        "Could not send",
+      ),
+      createPendingActionButton(
+        '<i class="fa fa-ban"></i> Cancel',
+        "btn-danger",
+        { type: "cancelDelivery", id: item.id },
+        "Could not cancel",
+      ),
+    ];
+    if (index > 0) {
+      buttons.splice(
+        1,
+        0,
+        createPendingActionButton(
+          '<i class="fa fa-arrow-up"></i> To Front',
+          "btn-secondary",
+          { type: "moveToFront", id: item.id },
+          "Could not move",
+        ),
+      );
+    }
+    buttons[0].title = "Send right away, ignoring the rate limit";
+
+    cards.push(
+      createPendingCard(
+        describeCapture(item.payload),
+        item.payload.url || item.webhook.url,
+        [
+          `${describePendingDelivery(item, false)} #${index + 1}`,
+          item.payload.type || "capture",
+          `Added ${new Date(item.timestamp).toLocaleTimeString()}`,
+        ],
+        buttons,
+      ),
+    );
+  });
+
+  return cards;
+}
+
+/**
+ * Renders each webhook's queue above the history: its batch, in-flight and queued
+ * deliveries, with a Pause/Resume button per webhook and actions per delivery.
+ * Paused queues are listed even when empty so they can be resumed.
+ */
+function loadPendingDeliveries() {
+  chrome.storage.local.get({ deliveryQueues: {}, webhooks: [] }, (data) => {
+    const list = document.getElementById("pendingList");
+    list.innerHTML = "";
+
+    const queues = Object.entries(data.deliveryQueues).filter(
+      ([, queueData]) =>
+        queueData.paused ||
+        queueData.queue.length > 0 ||
+        queueData.inFlight.length > 0 ||
+        queueData.batch?.items.length > 0,
+    );
+
+    queues.forEach(([key, queueData]) => {
+      const webhook =
+        data.webhooks.find((stored) => (stored.id || stored.url) === key) ||
+        [...queueData.inFlight, ...queueData.queue][0]?.webhook ||
+        queueData.batch?.webhook;
+      const count = queueData.queue.length + queueData.inFlight.length;
+
+      const group = document.createElement("div");
+      group.className = "dead-letter-group";
+
+      const header = document.createElement("div");
+      header.className = "dead-letter-group-header";
+      const title = document.createElement("h3");
+      title.textContent = `${webhook?.name || "Webhook"} (${count})${queueData.paused ? " · Paused" : ""}`;
+      const pauseButton = createPendingActionButton(
+        queueData.paused
+          ? '<i class="fa fa-play"></i> Resume'
+          : '<i class="fa fa-pause"></i> Pause',
+        "btn-secondary",
+        { type: "setQueuePaused", key, paused: !queueData.paused },
+        "Could not update the queue",
+      );
+      header.appendChild(title);
+      header.appendChild(pauseButton);
+      group.appendChild(header);
+
+      createQueueCards(key, queueData).forEach((card) => {
+        group.appendChild(card);
+      });
+      list.appendChild(group);
+    });
+
+    document
+      .getElementById("pending-section")
+      .classList.toggle("hidden", queues.length === 0);
+  });
+}
+
+/**
+ * Initializes the history tab: search and filter inputs, the clear button,
+ * and live updates while deliveries are recorded.
+ */
+function initializeHistory() {
+  document
+    .getElementById("history-search")
+    .addEventListener("input", renderHistory);
+  document
+    .getElementById("history-webhook-filter")
+    .addEventListener("change", renderHistory);
+  document
+    .getElementById("history-outcome-filter")
+    .addEventListener("change", renderHistory);
+
+  // The background clears it, so the clear is ordered with the deliveries it is recording
+  document.getElementById("clear-history-btn").addEventListener("click", () => {
+    chrome.runtime.sendMessage({ type: "clearHistory" }, (result) => {
+      if (chrome.runtime.lastError || !result?.ok) {
+        console.error("Failed to clear history:", chrome.runtime.lastError);
+        showError("Error clearing history. Please try again.");
+        return;
+      }
+      showSuccess("History cleared.");
+    });
+  });
+
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === "local" && changes.deliveryHistory) {
+      loadHistory();
+    }
+    if (namespace === "local" && changes.deliveryQueues) {
+      loadPendingDeliveries();
+    }
+  });
+}
+
+/**
+ * Sends a dead letter request to the background worker and reports the result.
+ * @param {object} message - The message for the background worker.
+ * @param {string} successMessage - The message shown when the request succeeds.
+ */
+function sendDeadLetterRequest(message, successMessage) {
+  chrome.runtime.sendMessage(message, (result) => {
+    if (chrome.runtime.lastError || !result?.ok) {
+      showError(
+        `Error: ${chrome.runtime.lastError?.message || result?.error || "No response"}`,
+      );
+      return;
+    }
+    showSuccess(successMessage);
+  });
+}
+
+/**
+ * Replays dead letters through the background worker's queue.
+ * @param {Array<object>} letters - The dead letters to replay.
+ */
+function replayDeadLetters(letters) {
+  sendDeadLetterRequest(
+    { type: "replayDeadLetters", ids: letters.map((letter) => letter.id) },
+    `${letters.length} ${letters.length === 1 ? "delivery" : "deliveries"} queued for replay.`,
+  );
+}
+
+/**
+ * Discards dead letters for good.
+ * @param {Array<object>} letters - The dead letters to discard.
+ */
+function discardDeadLetters(letters) {
+  sendDeadLetterRequest(
+    { type: "discardDeadLetters", ids: letters.map((letter) => letter.id) },
+    `${letters.length} failed ${letters.length === 1 ? "delivery" : "deliveries"} discarded.`,
+  );
+}
+
+/**
+ * Replaces a dead letter card's inspector with a form for editing its target URL and payload.
+ * @param {HTMLElement} card - The dead letter card.
+ * @param {object} letter - The dead letter being edited.
+ */
+function editDeadLetter(card, letter) {
+  const form = document.createElement("form");
+  form.className = "mb-0";
+  form.innerHTML = `
+    <div class="form-group">
+      <label>Target URL</label>
+      <input type="url" name="url" class="form-input" required>
+    </div>
+    <div class="form-group">
+      <label>Payload (JSON)</label>
+      <textarea name="payload" class="form-input input-mono" rows="8"></textarea>
+    </div>
+    <div class="webhook-actions">
+      <button type="submit" class="btn btn-sm btn-primary"><i class="fa fa-save"></i> Save</button>
+      <button type="button" class="btn btn-sm btn-secondary" data-action="cancel">Cancel</button>
+    </div>`;
+  form.elements.url.value = letter.url;
+  form.elements.payload.value = JSON.stringify(letter.payload, null, 2);
+
+  form.querySelector('[data-action="cancel"]').onclick = () => {
+    card.replaceWith(createDeadLetterCard(letter));
+  };
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    const url = form.elements.url.value.trim();
+    if (!validateURL(url)) {
+      showError("Please enter a valid HTTP or HTTPS URL.");
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(form.elements.payload.value);
+    } catch (error) {
+      showError(`Payload is not valid JSON: ${error.message}`);
+      return;
+    }
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      showError("Payload must be a JSON object.");
+      return;
+    }
+
+    sendDeadLetterRequest(
+      { type: "updateDeadLetter", id: letter.id, url, payload },
+      "Failed delivery updated.",
+    );
+  };
+
+  card.querySelector(".history-details")?.remove();
+  card.querySelector(".webhook-actions").replaceWith(form);
+}
+
+/**
+ * Creates a card for a dead letter with its failure reason, an inspector for the
+ * payload, and actions to replay, edit or discard it.
+ * @param {object} letter - The dead letter recorded by the background worker.
+ * @returns {HTMLElement} The dead letter card element.
+ */
+function createDeadLetterCard(letter) {
+  const card = document.createElement("div");
+  card.className = "webhook-card mb-sm";
+
+  const header = document.createElement("div");
+  header.className = "webhook-header";
+  const titleContainer = document.createElement("div");
+  const title = document.createElement("h4");
+  title.className = "webhook-title";
+  title.textContent = letter.payload.title || letter.payload.url || "Capture";
+  const url = document.createElement("div");
+  url.className = "webhook-url";
+  url.textContent = `→ ${letter.url}`;
+  titleContainer.appendChild(title);
+  titleContainer.appendChild(url);
+  header.appendChild(titleContainer);
+  card.appendChild(header);
+
+  const meta = document.createElement("div");
+  meta.className = "webhook-meta";
+  [
+    new Date(letter.failedAt).toLocaleString(),
+    `${letter.attempts} attempt${letter.attempts === 1 ? "" : "s"}`,
+  ].forEach((text) => {
+    const badge = document.createElement("span");
+    badge.className = "badge badge-rate-limit";
+    badge.textContent = text;
+    meta.appendChild(badge);
+  });
+  card.appendChild(meta);
+
+  const reason = document.createElement("p");
+  reason.className = "history-error";
+  reason.textContent = letter.reason;
+  card.appendChild(reason);
+
+  const inspector = document.createElement("details");
+  inspector.className = "history-details";
+  const summary = document.createElement("summary");
+  summary.textContent = "Inspect payload";
+  inspector.appendChild(summary);
+  inspector.appendChild(
+    createHistoryBlock("Payload", JSON.stringify(letter.payload, null, 2)),
+  );
+  card.appendChild(inspector);
+
+  const actions = document.createElement("div");
+  actions.className = "webhook-actions";
+
+  const replayButton = document.createElement("button");
+  replayButton.className = "btn btn-sm btn-secondary";
+  replayButton.innerHTML = '<i class="fa fa-rotate-right"></i> Replay';
+  replayButton.onclick = () => replayDeadLetters([letter]);
+
+  const editButton = document.createElement("button");
+  editButton.className = "btn btn-sm btn-secondary";
+  editButton.innerHTML = '<i class="fa fa-edit"></i> Edit';
+  editButton.onclick = () => editDeadLetter(card, letter);
+
+  const discardButton = document.createElement("button");
+  discardButton.className = "btn btn-sm btn-danger";
+  discardButton.innerHTML = '<i class="fa fa-trash"></i>';
+  discardButton.title = "Discard";
+  discardButton.onclick = () => discardDeadLetters([letter]);
+
+  actions.appendChild(replayButton);
+  actions.appendChild(editButton);
+  actions.appendChild(discardButton);
+  card.appendChild(actions);
+
+  return card;
+}
+
+/**
+ * Loads the dead letters from Chrome local storage and renders them grouped by webhook,
+ * with replay and discard actions for each group and for the whole list.
+ */
+function loadDeadLetters() {
+  chrome.storage.local.get({ deadLetters: [] }, (data) => {
+    if (chrome.runtime.lastError) {
+      console.error("Failed to load dead letters:", chrome.runtime.lastError);
+      showError("Error loading failed deliveries. Please try again.");
+      return;
+    }
+
+    const letters = data.deadLetters;
+    const list = document.getElementById("deadLetterList");
+    list.innerHTML = "";
+
+    const groups = new Map();
+    letters.forEach((letter) => {
+      const key = deliveredWebhookKey(letter.webhook);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(letter);
+    });
+
+    groups.forEach((groupLetters) => {
+      const group = document.createElement("div");
+      group.className = "dead-letter-group";
+
+      const header = document.createElement("div");
+      header.className = "dead-letter-group-header";
+      const title = document.createElement("h3");
+      title.textContent = `${groupLetters[0].webhook.name} (${groupLetters.length})`;
+      const replayButton = document.createElement("button");
+      replayButton.className = "btn btn-sm btn-secondary";
+      replayButton.innerHTML = '<i class="fa fa-rotate-right"></i> Replay';
+      replayButton.title = "Replay every failed delivery for this webhook";
+      replayButton.onclick = () => replayDeadLetters(groupLetters);
+      header.appendChild(title);
+      header.appendChild(replayButton);
+      group.appendChild(header);
+
+      groupLetters.forEach((letter) => {
+        group.appendChild(createDeadLetterCard(letter));
+      });
+      list.appendChild(group);
+    });
+
+    document.getElementById("dead-letter-count").textContent =
+      letters.length > 0 ? letters.length : "";
+    document
+      .getElementById("dead-letter-toolbar")
+      .classList.toggle("hidden", letters.length === 0);
+    document
+      .getElementById("dead-letter-empty-state")
+      .classList.toggle("hidden", letters.length > 0);
+  });
+}
+
+/**
+ * Initializes the failed deliveries tab: the replay all and discard all buttons,
+ * and live updates when deliveries fail or are replayed.
+ */
+function initializeDeadLetters() {
+  document.getElementById("replay-all-btn").addEventListener("click", () => {
+    chrome.storage.local.get({ deadLetters: [] }, (data) => {
+      replayDeadLetters(data.deadLetters);
+    });
+  });
+
+  // Discarding everything asks for a second click, like deleting a webhook
+  const discardAllButton = document.getElementById("discard-all-btn");
+  const discardAllContent = discardAllButton.innerHTML;
+  const resetDiscardAll = () => {
+    discardAllButton.innerHTML = discardAllContent;
+    discardAllButton.classList.remove("confirm-delete", "btn-warning");
+    discardAllButton.classList.add("btn-danger");
+  };
+  discardAllButton.addEventListener("click", () => {
+    if (discardAllButton.classList.contains("confirm-delete")) {
+      resetDiscardAll();
+      chrome.storage.local.get({ deadLetters: [] }, (data) => {
+        discardDeadLetters(data.deadLetters);
+      });
+      return;
+    }
+
+    discardAllButton.innerHTML = '<i class="fa fa-check"></i> Confirm?';
+    discardAllButton.classList.add("confirm-delete", "btn-warning");
+    discardAllButton.classList.remove("btn-danger");
+
+    // Revert if clicked elsewhere
+    document.addEventListener(
+      "click",
+      (e) => {
+        if (!discardAllButton.contains(e.target)) {
+          resetDiscardAll();
+        }
+      },
+      { once: true },
+    );
+  });
+
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === "local" && changes.deadLetters) {
+      loadDeadLetters();
+    }
+  });
+}
+
+/**
+ * Shows the offline indicator with the number of deliveries waiting for the
+ * connection to return, or hides it while the background worker is online.
+ */
+function updateNetworkStatus() {
+  chrome.storage.local.get(
+    { networkStatus: { offline: false }, deliveryQueues: {} },
+    (data) => {
+      const waiting = Object.values(data.deliveryQueues).reduce(
+        (count, queue) => count + queue.queue.length + queue.inFlight.length,
+        0,
+      );
+      document.getElementById("network-status-text").textContent =
+        `Offline, ${waiting} waiting`;
+      document
+        .getElementById("network-status")
+        .classList.toggle("hidden", !data.networkStatus.offline);
+    },
+  );
+}
+
+/**
+ * Initializes the offline indicator and keeps it updated while the popup is open.
+ */
+function initializeNetworkStatus() {
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (
+      namespace === "local" &&
+      (changes.networkStatus || changes.deliveryQueues)
+    ) {
+      updateNetworkStatus();
+    }
+  });
+  updateNetworkStatus();
+}
+
+/**
+ * Loads extension settings from Chrome local storage and populates the settings form fields.
+ * If no settings are found, default values are used.
+ */
+function loadSettings() {
+  chrome.storage.local.get(
+    { settings: { notificationInterval: 5 } },
+    (data) => {
+      if (chrome.runtime.lastError) {
+        console.error("Failed to load settings:", chrome.runtime.lastError);
+        return;
+      }
+
+      document.getElementById("notificationInterval").value =
+        data.settings.notificationInterval;
+      document.getElementById("historyLimit").value =
+        data.settings.historyLimit ?? 200;
+      document.getElementById("maxInFlight").value =
+        data.settings.maxInFlight ?? 4;
+      document.getElementById("connectivityCheckUrl").value =
+        data.settings.connectivityCheckUrl || "";
+    },
+  );
+}
+
+/**
+ * Initializes event listeners for all tab buttons, allowing them to switch tabs when clicked.
+ */
+function initializeTabs() {
+  document.querySelectorAll(".tab-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      switchTab(btn.dataset.tab);
+    });
+  });
+}
+
+function initializeCustomFields() {
+  document.querySelectorAll(".custom-fields-input").forEach((field) => {
+    const originalRowCount = parseInt(field.getAttribute("rows") || 3, 10);
+    field.addEventListener("focus", () => {
+      field.setAttribute("rows", originalRowCount + 7);
+    });
     field.addEventListener("blue", () => {
       field.setAttribute("rows", originalRowCount);
     });
@@ -635,6 +2235,482 @@ function initializeCustomFields() {
   });
 }
 
+/**
+ * Shows only the inputs and hints that apply to the selected destination type.
+ * Method and body template only apply to custom (generic) destinations.
+ */
+function updateDestinationFields() {
+  const destinationType = document.getElementById("destinationType").value;
+  const attachMedia = document.getElementById("attachMediaMode").value;
+  const article = document.getElementById("articleEnabled").checked;
+  const screenshot = document.getElementById("screenshotMode").value;
+  document
+    .querySelectorAll(".destination-fields, .destination-hint")
+    .forEach((element) => {
+      element.classList.toggle(
+        "hidden",
+        element.dataset.destination !== destinationType ||
+          (element.classList.contains("media-fields") &&
+            attachMedia === "off") ||
+          (element.classList.contains("article-fields") && !article) ||
+          (element.classList.contains("screenshot-fields") &&
+            screenshot === "off"),
+      );
+    });
+}
+
+/**
+ * Builds the `attachMedia` settings object from the webhook form.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {{attachMedia: object|null, error: string|null}} The media settings (null when off), or an error message.
+ */
+function readAttachMediaSettings(formData) {
+  const mode = formData.get("attachMediaMode");
+  if (!mode || mode === "off") return { attachMedia: null, error: null };
+
+  const maxMb = formData.get("attachMediaMaxMb").trim();
+  const maxMbValue = maxMb ? parseFloat(maxMb) : 5;
+  if (Number.isNaN(maxMbValue) || maxMbValue <= 0 || maxMbValue > 50) {
+    return {
+      attachMedia: null,
+      error: "Max file size must be between 0.1 and 50 MB.",
+    };
+  }
+
+  return {
+    attachMedia: { mode, maxBytes: Math.round(maxMbValue * 1024 * 1024) },
+    error: null,
+  };
+}
+
+/**
+ * Builds the `article` settings object from the webhook form.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {{article: object|null, error: string|null}} The article settings (null when off), or an error message.
+ */
+function readArticleSettings(formData) {
+  if (formData.get("articleEnabled") !== "on") {
+    return { article: null, error: null };
+  }
+
+  const maxLength = formData.get("articleMaxLength").trim();
+  const maxLengthValue = maxLength ? parseInt(maxLength, 10) : 100000;
+  if (
+    Number.isNaN(maxLengthValue) ||
+    maxLengthValue < 1000 ||
+    maxLengthValue > 1000000
+  ) {
+    return {
+      article: null,
+      error:
+        "Max article length must be between 1,000 and 1,000,000 characters.",
+    };
+  }
+
+  return { article: { maxLength: maxLengthValue }, error: null };
+}
+
+/**
+ * Builds the `screenshot` settings object from the webhook form.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {object|null} The screenshot settings, or null when off.
+ */
+function readScreenshotSettings(formData) {
+  const mode = formData.get("screenshotMode");
+  if (!mode || mode === "off") return null;
+  return {
+    mode,
+    format: formData.get("screenshotFormat") || "png",
+    attach: formData.get("screenshotAttach") || "base64",
+  };
+}
+
+/**
+ * Builds the `dedup` settings object from the webhook form.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {{dedup: object|null, error: string|null}} The duplicate window settings (null when off), or an error message.
+ */
+function readDedupSettings(formData) {
+  const windowInput = formData.get("dedupWindow").trim();
+  const windowValue = windowInput ? parseInt(windowInput, 10) : 0;
+  if (Number.isNaN(windowValue) || windowValue < 0 || windowValue > 86400) {
+    return {
+      dedup: null,
+      error: "Duplicate window must be between 0 and 86400 seconds.",
+    };
+  }
+  if (windowValue === 0) return { dedup: null, error: null };
+
+  return {
+    dedup: { window: windowValue, mode: formData.get("dedupMode") || "skip" },
+    error: null,
+  };
+}
+
+/**
+ * Builds the `rateLimit` token bucket from the webhook form: `refill` requests every
+ * `interval` seconds, with up to `capacity` sent back to back after a quiet spell.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {{rateLimit: object|null, error: string|null}} The rate limit (null when off), or an error message.
+ */
+function readRateLimit(formData) {
+  const [refill, interval, capacity] = [
+    "rateLimitRequests",
+    "rateLimitInterval",
+    "rateLimitBurst",
+  ].map((name) => {
+    const value = formData.get(name).trim();
+    return value ? parseInt(value, 10) : null;
+  });
+  if (refill === null && interval === null && capacity === null) {
+    return { rateLimit: null, error: null };
+  }
+
+  // Empty fields count as 1, so entering only the seconds works like the old per-request delay
+  const rateLimit = {
+    capacity: capacity ?? 1,
+    refill: refill ?? 1,
+    interval: interval ?? 1,
+  };
+  if (
+    Object.values(rateLimit).some((value) => Number.isNaN(value) || value < 1)
+  ) {
+    return {
+      rateLimit: null,
+      error: "Rate limit requests, seconds and burst must be positive numbers.",
+    };
+  }
+  return { rateLimit, error: null };
+}
+
+/**
+ * Builds the `batch` settings object from the webhook form.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {{batch: object|null, error: string|null}} The batching settings (null when off), or an error message.
+ */
+function readBatchSettings(formData) {
+  if ((formData.get("destinationType") || "generic") !== "generic") {
+    return { batch: null, error: null };
+  }
+
+  const sizeInput = formData.get("batchSize").trim();
+  const waitInput = formData.get("batchWait").trim();
+  if (!sizeInput && !waitInput) return { batch: null, error: null };
+
+  const size = sizeInput ? parseInt(sizeInput, 10) : null;
+  if (sizeInput && (Number.isNaN(size) || size < 2 || size > 1000)) {
+    return {
+      batch: null,
+      error: "Batch size must be between 2 and 1000 items.",
+    };
+  }
+  const wait = waitInput ? parseInt(waitInput, 10) : null;
+  if (waitInput && (Number.isNaN(wait) || wait < 1 || wait > 1440)) {
+    return {
+      batch: null,
+      error: "Batch wait must be between 1 and 1440 minutes.",
+    };
+  }
+  if (formData.get("method") === "GET") {
+    return {
+      batch: null,
+      error: "Batching needs a request body, so it cannot be used with GET.",
+    };
+  }
+
+  return { batch: { size, wait }, error: null };
+}
+
+/**
+ * Builds the `urlRules` object that limits where the webhook appears in the context menu.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {{urlRules: object|null, error: string|null}} The URL rules (null when there are no patterns), or an error message.
+ */
+function readUrlRules(formData) {
+  const readPatterns = (name) =>
+    formData
+      .get(name)
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+  const include = readPatterns("urlRulesInclude");
+  const exclude = readPatterns("urlRulesExclude");
+  const promote = formData.get("urlRulesPromote") === "on";
+
+  const error = urlRulesError({ include, exclude });
+  if (error) return { urlRules: null, error };
+  if (promote && include.length === 0) {
+    return {
+      urlRules: null,
+      error:
+        "Add an Only On pattern to make this the default webhook for those sites.",
+    };
+  }
+  if (include.length === 0 && exclude.length === 0) {
+    return { urlRules: null, error: null };
+  }
+
+  return {
+    urlRules: {
+      matchOn: formData.get("urlRulesMatchOn") || "page",
+      include,
+      exclude,
+      promote,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Parses the extractors field and checks each selector is valid CSS or XPath.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {{extractors: Array<object>|null, error: string|null}} The extractors (null when there are none), or an error message.
+ */
+function readExtractorSettings(formData) {
+  const { extractors, error } = parseExtractorLines(
+    formData.get("extractorsRaw"),
+  );
+  if (error) return { extractors: null, error };
+
+  for (const extractor of extractors) {
+    try {
+      if (extractor.type === "xpath") {
+        document.createExpression(extractor.selector);
+      } else {
+        document.createDocumentFragment().querySelector(extractor.selector);
+      }
+    } catch {
+      return {
+        extractors: null,
+        error: `Invalid ${extractor.type === "xpath" ? "XPath" : "CSS selector"} for extractor "${extractor.name}": ${extractor.selector}`,
+      };
+    }
+  }
+
+  return {
+    extractors: extractors.length > 0 ? extractors : null,
+    error: null,
+  };
+}
+
+/**
+ * Runs the extractors from the form on the active tab and shows what each returns,
+ * or why it did not run.
+ */
+function testExtractors() {
+  const preview = document.getElementById("extractors-preview");
+  const showPreview = (text, isError = false) => {
+    preview.textContent = text;
+    preview.classList.remove("hidden");
+    preview.classList.toggle("has-error", isError);
+  };
+
+  const formData = new FormData(document.getElementById("webhookForm"));
+  const { extractors, error } = readExtractorSettings(formData);
+  if (error) {
+    showPreview(error, true);
+    return;
+  }
+  if (!extractors) {
+    showPreview("Add an extractor to test.", true);
+    return;
+  }
+
+  chrome.tabs
+    .query({ active: true, currentWindow: true })
+    .then(([tab]) => {
+      const applicable = extractors.filter((extractor) =>
+        extractorApplies(extractor, tab.url),
+      );
+      return (
+        applicable.length > 0
+          ? chrome.scripting.executeScript({
+              target: { tabId: tab.id },
+              func: runExtractors,
+              args: [applicable, MAX_EXTRACTED_LENGTH, MAX_EXTRACTED_MATCHES],
+            })
+          : Promise.resolve([{ result: [] }])
+      ).then(([injection]) => {
+        const lines = extractors.map((extractor) => {
+          const index = applicable.indexOf(extractor);
+          if (index === -1) {
+            return `${extractor.name}: skipped, only runs on ${extractor.urlPattern}`;
+          }
+          const { value, error } = injection.result[index];
+          return error
+            ? `${extractor.name}: error, ${error}`
+            : `${extractor.name}: ${JSON.stringify(value, null, 2)}`;
+        });
+        showPreview(lines.join("\n"));
+      });
+    })
+    .catch((error) => {
+      showPreview(`Could not run on this tab: ${error.message}`, true);
+    });
+}
+
+/**
+ * Retry settings inputs, with the range each value must fall in.
+ * Empty inputs use the default shown as the input's placeholder.
+ */
+const RETRY_FIELDS = [
+  {
+    key: "maxAttempts",
+    id: "retryMaxAttempts",
+    label: "Max attempts",
+    min: 1,
+    max: 20,
+  },
+  {
+    key: "baseDelay",
+    id: "retryBaseDelay",
+    label: "First retry delay",
+    min: 0.1,
+    max: 86400,
+  },
+  {
+    key: "factor",
+    id: "retryFactor",
+    label: "Backoff factor",
+    min: 1,
+    max: 10,
+  },
+  {
+    key: "maxDelay",
+    id: "retryMaxDelay",
+    label: "Max retry delay",
+    min: 1,
+    max: 86400,
+  },
+  { key: "jitter", id: "retryJitter", label: "Jitter", min: 0, max: 100 },
+];
+
+/**
+ * Builds the `retry` policy object from the webhook form.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {{retry: object|null, error: string|null}} The retry policy (null when every input is left at its default), or an error message.
+ */
+function readRetrySettings(formData) {
+  const values = RETRY_FIELDS.map((field) => formData.get(field.id).trim());
+  if (values.every((value) => value === "")) {
+    return { retry: null, error: null };
+  }
+
+  const retry = {};
+  for (const [index, field] of RETRY_FIELDS.entries()) {
+    const input =
+      values[index] || document.getElementById(field.id).placeholder;
+    const value = parseFloat(input);
+    if (Number.isNaN(value) || value < field.min || value > field.max) {
+      return {
+        retry: null,
+        error: `${field.label} must be between ${field.min} and ${field.max}.`,
+      };
+    }
+    retry[field.key] = field.key === "maxAttempts" ? Math.round(value) : value;
+  }
+
+  if (retry.maxDelay < retry.baseDelay) {
+    return {
+      retry: null,
+      error: "Max retry delay must not be shorter than the first retry delay.",
+    };
+  }
+
+  return { retry, error: null };
+}
+
+/**
+ * Builds the destination-specific options from the webhook form.
+ * @param {FormData} formData - The submitted webhook form data.
+ * @returns {{destinationOptions: object|null, error: string|null}} The options for the selected destination, or an error message.
+ */
+function readDestinationOptions(formData) {
+  switch (formData.get("destinationType")) {
+    case "teams":
+      return {
+        destinationOptions: { teamsFormat: formData.get("teamsFormat") },
+        error: null,
+      };
+    case "matrix": {
+      const roomId = formData.get("matrixRoomId").trim();
+      if (!roomId) {
+        return {
+          destinationOptions: null,
+          error: "A Matrix room ID is required.",
+        };
+      }
+      return { destinationOptions: { roomId }, error: null };
+    }
+    default:
+      return { destinationOptions: null, error: null };
+  }
+}
+
+/**
+ * Shows only the authentication inputs that apply to the selected auth type.
+ */
+function updateAuthFields() {
+  const authType = document.getElementById("authType").value;
+  document.querySelectorAll(".auth-fields").forEach((group) => {
+    const types = group.dataset.auth.split(" ");
+    group.classList.toggle("hidden", !types.includes(authType));
+  });
+}
+
+/**
+ * Initializes the request settings section of the webhook form.
+ */
+function initializeRequestSettings() {
+  document
+    .getElementById("destinationType")
+    .addEventListener("change", updateDestinationFields);
+  document
+    .getElementById("attachMediaMode")
+    .addEventListener("change", updateDestinationFields);
+  document
+    .getElementById("articleEnabled")
+    .addEventListener("change", updateDestinationFields);
+  document
+    .getElementById("screenshotMode")
+    .addEventListener("change", updateDestinationFields);
+  updateDestinationFields();
+
+  document
+    .getElementById("authType")
+    .addEventListener("change", updateAuthFields);
+  updateAuthFields();
+
+  ["signingSecret", "signatureHeader", "timestampHeader"].forEach((id) => {
+    document.getElementById(id).addEventListener("input", updateSigningFields);
+  });
+  document
+    .getElementById("generate-secret-btn")
+    .addEventListener("click", () => {
+      document.getElementById("signingSecret").value = generateSigningSecret();
+      updateSigningFields();
+    });
+  updateSigningFields();
+
+  document
+    .getElementById("test-extractors-btn")
+    .addEventListener("click", testExtractors);
+
+  [
+    "bodyTemplate",
+    "batchSize",
+    "batchWait",
+    "articleEnabled",
+    "screenshotMode",
+    "unfurlEnabled",
+    "extractorsRaw",
+  ].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("input", updateTemplatePreview);
+  });
+}
+
 /**
  * Initializes the functionality for showing and hiding the webhook form.
  * It sets up event listeners for the "Add Webhook" button and the form's close button.
@@ -693,7 +2769,12 @@ function initializeFormToggle() {
 document.addEventListener("DOMContentLoaded", () => {
   initializeTabs();
   initializeCustomFields();
+  initializeRequestSettings();
   initializeFormToggle();
+  initializeGroups();
+  initializeHistory();
+  initializeDeadLetters();
+  initializeNetworkStatus();
 
   /**
    * Handles the submission of the webhook form.
@@ -716,8 +2797,6 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
-    const rateLimit = formData.get("rateLimit").trim();
-    const rateLimitValue = rateLimit ? parseInt(rateLimit, 10) : 0;
     const customFieldsRaw = formData.get("customFieldsRaw").trim();
     let customFieldsValue = formData.get("customFields").trim();
     if (customFieldsRaw.length === 0) {
@@ -725,11 +2804,134 @@ document.addEventListener("DOMContentLoaded", () => {
     }
     const customFields = customFieldsValue ? JSON.parse(customFieldsValue) : [];
 
-    if (rateLimit && (Number.isNaN(rateLimitValue) || rateLimitValue < 0)) {
-      showError("Rate limit must be a positive number (seconds).");
+    const { rateLimit, error: rateLimitError } = readRateLimit(formData);
+    if (rateLimitError) {
+      showError(rateLimitError);
+      return;
+    }
+
+    const { headers, error: headersError } = parseHeaderLines(
+      formData.get("headersRaw"),
+    );
+    if (headersError) {
+      showError(headersError);
+      return;
+    }
+
+    const { auth, error: authError } = readAuthSettings(formData);
+    if (authError) {
+      showError(authError);
+      return;
+    }
+
+    const { destinationOptions, error: destinationError } =
+      readDestinationOptions(formData);
+    if (destinationError) {
+      showError(destinationError);
+      return;
+    }
+
+    const { attachMedia, error: attachMediaError } =
+      readAttachMediaSettings(formData);
+    if (attachMediaError) {
+      showError(attachMediaError);
+      return;
+    }
+
+    const { article, error: articleError } = readArticleSettings(formData);
+    if (articleError) {
+      showError(articleError);
+      return;
+    }
+
+    const timeout = formData.get("timeout").trim();
+    const timeoutValue = timeout ? parseInt(timeout, 10) : null;
+    if (
+      timeout &&
+      (Number.isNaN(timeoutValue) || timeoutValue < 1 || timeoutValue > 300)
+    ) {
+      showError("Timeout must be between 1 and 300 seconds.");
+      return;
+    }
+
+    const { dedup, error: dedupError } = readDedupSettings(formData);
+    if (dedupError) {
+      showError(dedupError);
+      return;
+    }
+
+    const { batch, error: batchError } = readBatchSettings(formData);
+    if (batchError) {
+      showError(batchError);
+      return;
+    }
+
+    const { retry, error: retryError } = readRetrySettings(formData);
+    if (retryError) {
+      showError(retryError);
+      return;
+    }
+
+    const { urlRules, error: urlRulesError } = readUrlRules(formData);
+    if (urlRulesError) {
+      showError(urlRulesError);
+      return;
+    }
+
+    const { extractors, error: extractorsError } =
+      readExtractorSettings(formData);
+    if (extractorsError) {
+      showError(extractorsError);
+      return;
+    }
+
+    const bodyTemplate = formData.get("bodyTemplate").trim();
+    const captureSettings = {
+      article,
+      screenshot: readScreenshotSettings(formData),
+      unfurl: formData.get("unfurlEnabled") === "on",
+      extractors,
+    };
+    try {
+      renderTemplate(
+        bodyTemplate,
+        batch
+          ? buildBatchTestPayload(captureSettings)
+          : buildTestPayload(captureSettings),
+      );
+    } catch (error) {
+      showError(`Body template error: ${error.message}`);
       return;
     }
 
+    const webhook = {
+      id: null,
+      url,
+      name,
+      destinationType: formData.get("destinationType") || "generic",
+      destinationOptions,
+      rateLimit,
+      dedup,
+      batch,
+      urlRules,
+      extractors,
+      customFieldsRaw,
+      customFields,
+      method: formData.get("method") || "POST",
+      encoding: formData.get("encoding") || "json",
+      timeout: timeoutValue,
+      attachMedia,
+      article,
+      screenshot: readScreenshotSettings(formData),
+      unfurl: formData.get("unfurlEnabled") === "on",
+      headers,
+      auth,
+      signing: readSigningSettings(formData),
+      bodyTemplate,
+      retry,
+      response: readResponseSettings(formData),
+    };
+
     chrome.storage.local.get({ webhooks: [] }, (data) => {
       if (chrome.runtime.lastError) {
         console.error("Error retrieving webhooks:", chrome.runtime.lastError);
@@ -742,26 +2944,16 @@ document.addEventListener("DOMContentLoaded", () => {
       const isEditing = index !== undefined;
 
       if (isEditing) {
-        // Update existing webhook
-        webhooks[index] = {
-          url,
-          name,
-          rateLimit: rateLimitValue,
-          customFieldsRaw,
-          customFields,
-        };
+        // Update existing webhook, keeping its id so its queue and group memberships follow it
+        webhook.id = webhooks[index].id || crypto.randomUUID();
+        webhooks[index] = webhook;
       } else {
         // Add new webhook
-        webhooks.push({
-          url,
-          name,
-          rateLimit: rateLimitValue,
-          customFieldsRaw,
-          customFields,
-        });
+        webhook.id = crypto.randomUUID();
+        webhooks.push(webhook);
       }
 
-      chrome.storage.local.set({ webhooks: webhooks }, () => {
+      chrome.storage.local.set({ webhooks }, () => {
         if (chrome.runtime.lastError) {
           console.error(
             "Failed to save the webhook:",
@@ -775,6 +2967,7 @@ document.addEventListener("DOMContentLoaded", () => {
         const action = isEditing ? "updated" : "added";
         showSuccess(`Webhook "${name}" ${action} successfully!`);
         loadWebhooks();
+        loadGroups();
 
         // Hide form after successful save
         if (window.formToggleFunctions) {
@@ -788,7 +2981,8 @@ document.addEventListener("DOMContentLoaded", () => {
 
   /**
    * Handles the submission of the settings form.
-   * Validates the notification interval and saves settings to Chrome local storage.
+   * Validates the notification interval, history limit, request limit and connectivity check URL
+   * and saves settings to Chrome local storage.
    */
   document.getElementById("settingsForm").addEventListener("submit", (e) => {
     e.preventDefault();
@@ -806,7 +3000,41 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
-    const settings = { notificationInterval };
+    const historyLimit = parseInt(
+      document.getElementById("historyLimit").value,
+      10,
+    );
+
+    if (Number.isNaN(historyLimit) || historyLimit < 0 || historyLimit > 1000) {
+      showError("History entries to keep must be between 0 and 1000.");
+      return;
+    }
+
+    const maxInFlight = parseInt(
+      document.getElementById("maxInFlight").value,
+      10,
+    );
+
+    if (Number.isNaN(maxInFlight) || maxInFlight < 1 || maxInFlight > 20) {
+      showError("Requests at once must be between 1 and 20.");
+      return;
+    }
+
+    const connectivityCheckUrl = document
+      .getElementById("connectivityCheckUrl")
+      .value.trim();
+
+    if (connectivityCheckUrl && !validateURL(connectivityCheckUrl)) {
+      showError("Connectivity check URL must be a valid http(s) URL.");
+      return;
+    }
+
+    const settings = {
+      notificationInterval,
+      historyLimit,
+      maxInFlight,
+      ...(connectivityCheckUrl && { connectivityCheckUrl }),
+    };
 
     chrome.storage.local.set({ settings }, () => {
       if (chrome.runtime.lastError) {
@@ -821,4 +3049,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
   loadWebhooks();
   loadSettings();
+  loadHistory();
+  loadPendingDeliveries();
+  loadDeadLetters();
 });
@@ -0,0 +1,275 @@
+// Payload body templates, shared by the background worker (rendering) and the popup (live preview)
+
+/**
+ * Filters that can be chained onto a placeholder, e.g. `{{title|truncate:80|json-escape}}`.
+ * Each filter receives the current value and its (optional) argument.
+ */
+const TEMPLATE_FILTERS = {
+  json: (value) => JSON.stringify(value ?? null),
+  "json-escape": (value) =>
+    JSON.stringify(stringifyTemplateValue(value)).slice(1, -1),
+  "url-encode": (value) => encodeURIComponent(stringifyTemplateValue(value)),
+  truncate: (value, length) => {
+    const text = stringifyTemplateValue(value);
+    const max = parseInt(length, 10);
+    if (Number.isNaN(max) || text.length <= max) return text;
+    return `${text.slice(0, Math.max(0, max - 1))}…`;
+  },
+  default: (value, fallback = "") =>
+    isTemplateTruthy(value) ? value : fallback,
+  date: (value, format = "YYYY-MM-DD HH:mm:ss") =>
+    formatTemplateDate(value, format),
+  upper: (value) => stringifyTemplateValue(value).toUpperCase(),
+  lower: (value) => stringifyTemplateValue(value).toLowerCase(),
+};
+
+/**
+ * Converts a value to the text inserted into a template.
+ * Missing values become an empty string and objects are JSON encoded.
+ *
+ * @param {*} value - The value to convert.
+ * @returns {string} The text representation.
+ */
+function stringifyTemplateValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Determines whether a value counts as "present" for `{{#if}}` sections and the `default` filter.
+ * Empty strings, empty arrays and empty objects are falsy, as are null, undefined, false and 0.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True when the value is present.
+ */
+function isTemplateTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === "object") return Object.keys(value).length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Formats a date value with `YYYY`, `MM`, `DD`, `HH`, `mm` and `ss` tokens (local time).
+ * `X` is replaced with the Unix timestamp in seconds.
+ *
+ * @param {*} value - A date string, timestamp or Date.
+ * @param {string} format - The format pattern.
+ * @returns {string} The formatted date, or the original value if it is not a valid date.
+ */
+function formatTemplateDate(value, format) {
+  const date = new Date(value);
+  if (value === null || value === undefined || Number.isNaN(date.getTime())) {
+    return stringifyTemplateValue(value);
+  }
+
+  const pad = (number) => String(number).padStart(2, "0");
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    X: String(Math.floor(date.getTime() / 1000)),
+  };
+
+  return format.replace(/YYYY|MM|DD|HH|mm|ss|X/g, (token) => tokens[token]);
+}
+
+/**
+ * Resolves a dotted path such as `customFields.note` against the template data.
+ *
+ * @param {object} data - The data to read from.
+ * @param {string} path - The dotted path.
+ * @returns {*} The resolved value, or undefined when any segment is missing.
+ */
+function resolveTemplatePath(data, path) {
+  return path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === null || value === undefined ? undefined : value[key],
+      data,
+    );
+}
+
+/**
+ * Evaluates a placeholder expression: a path followed by optional `|filter:arg` segments.
+ * Filter arguments may be quoted to include spaces or `|` characters.
+ *
+ * @param {string} expression - The expression inside `{{ }}`.
+ * @param {object} data - The data to render against.
+ * @returns {*} The filtered value.
+ */
+function evaluateTemplateExpression(expression, data) {
+  const [path, ...filters] = (expression.match(/(?:"[^"]*"|[^|])+/g) || []).map(
+    (part) => part.trim(),
+  );
+
+  return filters.reduce(
+    (value, filter) => {
+      const separator = filter.indexOf(":");
+      const name =
+        separator === -1 ? filter : filter.slice(0, separator).trim();
+      const rawArg =
+        separator === -1 ? undefined : filter.slice(separator + 1).trim();
+      const arg = rawArg?.replace(/^"(.*)"$/, "$1");
+      const apply = TEMPLATE_FILTERS[name];
+
+      if (!apply) {
+        throw new Error(`Unknown template filter "${name}"`);
+      }
+      return apply(value, arg);
+    },
+    resolveTemplatePath(data, path || ""),
+  );
+}
+
+/**
+ * Parses a template into a tree of text, placeholder and section nodes.
+ * Sections are `{{#if path}}…{{else}}…{{/if}}`, `{{#unless path}}…{{/unless}}` and
+ * `{{#each path}}…{{else}}…{{/each}}`, and may be nested.
+ *
+ * @param {string} template - The template source.
+ * @returns {Array<object>} The parsed nodes.
+ * @throws {Error} When sections are unbalanced.
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*(.*?)\s*\}\}/g;
+  let lastIndex = 0;
+  let match = tagPattern.exec(template);
+
+  // Nodes after {{else}} belong to the section's `otherwise` branch
+  const target = (section) =>
+    section.inElse ? section.otherwise : section.children;
+
+  while (match) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      target(current).push({
+        type: "text",
+        value: template.slice(lastIndex, match.index),
+      });
+    }
+
+    const tag = match[1];
+    const open = tag.match(/^#(if|unless|each)\s+(.+)$/);
+    const close = tag.match(/^\/(if|unless|each)$/);
+
+    if (open) {
+      const section = {
+        type: open[1],
+        expression: open[2],
+        children: [],
+        otherwise: [],
+      };
+      target(current).push(section);
+      stack.push(section);
+    } else if (tag === "else") {
+      if (stack.length === 1 || current.inElse) {
+        throw new Error("Unexpected {{else}} outside of a section");
+      }
+      current.inElse = true;
+    } else if (close) {
+      if (stack.length === 1 || current.type !== close[1]) {
+        throw new Error(`Unexpected {{/${close[1]}}}`);
+      }
+      stack.pop();
+    } else {
+      target(current).push({ type: "value", expression: tag });
+    }
+
+    lastIndex = tagPattern.lastIndex;
+    match = tagPattern.exec(template);
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} section`);
+  }
+
+  if (lastIndex < template.length) {
+    root.children.push({ type: "text", value: template.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Builds the data for one pass of an `{{#each}}` section. An object item's fields
+ * can be used directly; `this` is the item itself, `@index` its position (from 0),
+ * `@first` and `@last` mark the ends, and `@root` is the data outside the section.
+ *
+ * @param {*} item - The current array item.
+ * @param {number} index - The item's position.
+ * @param {number} length - The array length.
+ * @param {object} data - The data the section is rendered against.
+ * @returns {object} The data for the section's contents.
+ */
+function createEachScope(item, index, length, data) {
+  const fields =
+    item !== null && typeof item === "object" && !Array.isArray(item)
+      ? item
+      : {};
+  return {
+    ...fields,
+    this: item,
+    "@index": index,
+    "@first": index === 0,
+    "@last": index === length - 1,
+    "@root": data["@root"] || data,
+  };
+}
+
+/**
+ * Renders parsed template nodes against the data.
+ *
+ * @param {Array<object>} nodes - Nodes from `parseTemplate`.
+ * @param {object} data - The data to render against.
+ * @returns {string} The rendered text.
+ */
+function renderTemplateNodes(nodes, data) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+      if (node.type === "value") {
+        return stringifyTemplateValue(
+          evaluateTemplateExpression(node.expression, data),
+        );
+      }
+
+      const value = evaluateTemplateExpression(node.expression, data);
+      if (node.type === "each") {
+        return Array.isArray(value) && value.length > 0
+          ? value
+              .map((item, index) =>
+                renderTemplateNodes(
+                  node.children,
+                  createEachScope(item, index, value.length, data),
+                ),
+              )
+              .join("")
+          : renderTemplateNodes(node.otherwise, data);
+      }
+
+      const truthy = isTemplateTruthy(value);
+      const show = node.type === "if" ? truthy : !truthy;
+      return renderTemplateNodes(show ? node.children : node.otherwise, data);
+    })
+    .join("");
+}
+
+/**
+ * Renders a body template against a capture payload.
+ *
+ * @param {string} template - The template source.
+ * @param {object} data - The capture payload.
+ * @returns {string} The rendered body.
+ * @throws {Error} When the template is malformed or uses an unknown filter.
+ */
+// biome-ignore lint/correctness/noUnusedVariables: called from background.js and popup.js
+function renderTemplate(template, data) {
+  return renderTemplateNodes(parseTemplate(template), data);
+}
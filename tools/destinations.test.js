@@ -0,0 +1,341 @@
+// Checks the destination presets' requests and error messages, sending each request
+// through the stub receiver. Run `node --test tools/` (Node 18 or later).
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+const { startStubServer } = require("./stub-server.js");
+
+// destinations.js is a classic script sharing the background worker's globals, so it is
+// loaded into a context with the one helper it borrows from background.js
+const context = vm.createContext({
+  URL,
+  encodeBase64: (value) => Buffer.from(value, "utf8").toString("base64"),
+});
+vm.runInContext(
+  fs.readFileSync(path.join(__dirname, "..", "destinations.js"), "utf8"),
+  context,
+);
+const DESTINATIONS = vm.runInContext("DESTINATIONS", context);
+
+// Objects built inside the context have its prototypes, so compare them as JSON
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const selection = {
+  id: "7f9c2d4e-1b3a-4c5d-8e6f-0a1b2c3d4e5f",
+  url: "https://example.com/article",
+  pageUrl: "https://example.com/article",
+  type: "selection",
+  timestamp: "2024-06-28T15:30:45.123Z",
+  title: "Rock & Roll <Live>",
+  description: "Article description",
+  favicon: "https://example.com/favicon.ico",
+  selectedText: "First line\nSecond line",
+  customFields: { note: "Read later", tags: ["a", "b"], empty: "" },
+};
+const image = {
+  ...selection,
+  id: "0d1e2f3a-4b5c-4d6e-8f7a-9b0c1d2e3f4a",
+  url: "https://example.com/photo.jpg",
+  type: "image",
+  title: "Photo page",
+  altText: "A photo",
+  selectedText: null,
+  customFields: null,
+};
+const webhook = (destinationType, destinationOptions = null) => ({
+  url: "https://hooks.example.com/hook",
+  destinationType,
+  destinationOptions,
+});
+
+/**
+ * Sends a preset's request to the stub the way the background worker does, and
+ * returns what the stub received.
+ *
+ * @param {object} adapted - The result of the adapter's `build`.
+ * @param {{status?: number, body?: string}} [answer] - What the stub answers with.
+ * @returns {Promise<{received: object, status: number, text: string}>} The received request and the response.
+ */
+function sendThroughStub(adapted, answer = {}) {
+  let received = null;
+  return startStubServer({
+    port: 0,
+    ...answer,
+    onRequest: (request) => {
+      received = request;
+    },
+  }).then((server) => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const url = adapted.url
+      ? `${base}${new URL(adapted.url).pathname}`
+      : `${base}/hook`;
+    return fetch(url, {
+      method: adapted.method || "POST",
+      headers: {
+        "Content-Type": adapted.contentType || "application/json",
+        ...adapted.headers,
+      },
+      body:
+        typeof adapted.body === "string"
+          ? adapted.body
+          : JSON.stringify(adapted.body),
+    })
+      .then((response) =>
+        response
+          .text()
+          .then((text) => ({ received, status: response.status, text })),
+      )
+      .finally(() => server.close());
+  });
+}
+
+test("slack builds Block Kit sections with escaped text", () => {
+  const { body } = plain(DESTINATIONS.slack.build(selection, webhook("slack")));
+  assert.equal(body.text, "Rock & Roll <Live> https://example.com/article");
+  assert.equal(
+    body.blocks[0].text.text,
+    "💬 *<https://example.com/article|Rock &amp; Roll &lt;Live&gt;>*",
+  );
+  assert.equal(body.blocks[1].text.text, "> First line\n> Second line");
+  assert.deepEqual(
+    body.blocks[2].fields.map((field) => field.text),
+    ["*note*\nRead later", '*tags*\n["a","b"]'],
+  );
+  assert.equal(
+    body.blocks[3].elements[0].text,
+    "selection from <https://example.com/article|example.com>",
+  );
+
+  const imageBody = plain(
+    DESTINATIONS.slack.build(image, webhook("slack")),
+  ).body;
+  assert.deepEqual(imageBody.blocks[0].accessory, {
+    type: "image",
+    image_url: "https://example.com/photo.jpg",
+    alt_text: "A photo",
+  });
+});
+
+test("slack reports its plain-text error codes", () => {
+  const { describeError } = DESTINATIONS.slack;
+  assert.equal(
+    describeError(400, "invalid_blocks\n"),
+    "Slack rejected the message (400): invalid_blocks",
+  );
+  assert.equal(describeError(500, ""), null);
+});
+
+test("discord builds an embed", () => {
+  const [embed] = plain(
+    DESTINATIONS.discord.build(selection, webhook("discord")),
+  ).body.embeds;
+  assert.equal(embed.title, "💬 Rock & Roll <Live>");
+  assert.equal(embed.url, "https://example.com/article");
+  assert.equal(embed.description, "> First line\n> Second line");
+  assert.deepEqual(embed.author, {
+    name: "example.com",
+    url: "https://example.com/article",
+    icon_url: "https://example.com/favicon.ico",
+  });
+  assert.deepEqual(embed.fields[0], {
+    name: "note",
+    value: "Read later",
+    inline: true,
+  });
+  assert.equal(embed.footer.text, "Super Webhooks • selection");
+  assert.equal(embed.timestamp, selection.timestamp);
+
+  const [imageEmbed] = plain(
+    DESTINATIONS.discord.build(image, webhook("discord")),
+  ).body.embeds;
+  assert.deepEqual(imageEmbed.image, { url: "https://example.com/photo.jpg" });
+});
+
+test("discord reports error messages and rate limits", () => {
+  const { describeError } = DESTINATIONS.discord;
+  assert.equal(
+    describeError(
+      400,
+      '{"message":"Invalid Form Body","code":50035,"errors":{"embeds":{}}}',
+    ),
+    'Discord error 50035: Invalid Form Body {"embeds":{}}',
+  );
+  assert.equal(
+    describeError(
+      429,
+      '{"message":"You are being rate limited.","retry_after":1.5}',
+    ),
+    "Discord rate limit hit, retry after 1.5s",
+  );
+  assert.equal(describeError(502, "Bad Gateway"), null);
+});
+
+test("teams builds a MessageCard, or an Adaptive Card for Workflows", () => {
+  const card = plain(
+    DESTINATIONS.teams.build(selection, webhook("teams")),
+  ).body;
+  assert.equal(card["@type"], "MessageCard");
+  assert.equal(card.title, "💬 Rock & Roll <Live>");
+  assert.equal(card.sections[0].text, "First line\nSecond line");
+  assert.deepEqual(card.sections[0].facts[0], {
+    name: "note",
+    value: "Read later",
+  });
+  assert.equal(
+    card.potentialAction[0].targets[0].uri,
+    "https://example.com/article",
+  );
+
+  const [attachment] = plain(
+    DESTINATIONS.teams.build(
+      image,
+      webhook("teams", { teamsFormat: "adaptiveCard" }),
+    ),
+  ).body.attachments;
+  assert.equal(
+    attachment.contentType,
+    "application/vnd.microsoft.card.adaptive",
+  );
+  assert.equal(attachment.content.type, "AdaptiveCard");
+  assert.ok(
+    attachment.content.body.some(
+      (element) =>
+        element.type === "Image" &&
+        element.url === "https://example.com/photo.jpg",
+    ),
+  );
+  assert.equal(
+    attachment.content.actions[0].url,
+    "https://example.com/photo.jpg",
+  );
+});
+
+test("teams reports Workflows and connector errors", () => {
+  const { describeError } = DESTINATIONS.teams;
+  assert.equal(
+    describeError(
+      400,
+      '{"error":{"code":"InvalidRequestContent","message":"The request content is not valid"}}',
+    ),
+    "Teams error InvalidRequestContent: The request content is not valid",
+  );
+  assert.equal(
+    describeError(400, "Summary or Text is required."),
+    "Teams error 400: Summary or Text is required.",
+  );
+  assert.equal(describeError(500, ""), null);
+});
+
+test("ntfy sends plain text with headers, encoding non-ASCII titles", () => {
+  const adapted = plain(DESTINATIONS.ntfy.build(selection, webhook("ntfy")));
+  assert.equal(
+    adapted.body,
+    'First line\nSecond line\nnote: Read later\ntags: ["a","b"]',
+  );
+  assert.equal(adapted.contentType, "text/plain; charset=utf-8");
+  assert.equal(adapted.headers.Title, "Rock & Roll <Live>");
+  assert.equal(adapted.headers.Tags, "super-webhooks,selection");
+  assert.equal(adapted.headers.Click, "https://example.com/article");
+
+  const accented = plain(
+    DESTINATIONS.ntfy.build({ ...image, title: "Café" }, webhook("ntfy")),
+  );
+  assert.equal(
+    accented.headers.Title,
+    `=?UTF-8?B?${Buffer.from("Café").toString("base64")}?=`,
+  );
+  assert.equal(accented.headers.Attach, "https://example.com/photo.jpg");
+});
+
+test("ntfy reports its JSON errors", () => {
+  assert.equal(
+    DESTINATIONS.ntfy.describeError(
+      400,
+      '{"code":40013,"http":400,"error":"invalid request: topic invalid"}',
+    ),
+    "ntfy error 40013: invalid request: topic invalid",
+  );
+  assert.equal(DESTINATIONS.ntfy.describeError(500, "oops"), null);
+});
+
+test("matrix sends to the room with the capture id as transaction id", () => {
+  const options = { roomId: "!abc:example.org" };
+  const adapted = plain(
+    DESTINATIONS.matrix.build(selection, webhook("matrix", options)),
+  );
+  assert.equal(adapted.method, "PUT");
+  assert.equal(
+    adapted.url,
+    `https://hooks.example.com/hook/_matrix/client/v3/rooms/${encodeURIComponent("!abc:example.org")}/send/m.room.message/sw-${selection.id}`,
+  );
+  assert.equal(adapted.body.msgtype, "m.text");
+  assert.equal(adapted.body.format, "org.matrix.custom.html");
+  assert.match(
+    adapted.body.formatted_body,
+    /<a href="https:\/\/example\.com\/article"><strong>Rock &amp; Roll &lt;Live&gt;<\/strong><\/a>/,
+  );
+
+  assert.throws(
+    () => DESTINATIONS.matrix.build(selection, webhook("matrix")),
+    /room ID is required/,
+  );
+});
+
+test("matrix reports errcodes", () => {
+  assert.equal(
+    DESTINATIONS.matrix.describeError(
+      403,
+      '{"errcode":"M_FORBIDDEN","error":"User not in room"}',
+    ),
+    "Matrix M_FORBIDDEN: User not in room",
+  );
+  assert.equal(DESTINATIONS.matrix.describeError(502, "Bad Gateway"), null);
+});
+
+test("every preset's request reaches the stub as built", () => {
+  const cases = [
+    ["slack", null],
+    ["discord", null],
+    ["teams", null],
+    ["teams", { teamsFormat: "adaptiveCard" }],
+    ["ntfy", null],
+    ["matrix", { roomId: "!abc:example.org" }],
+  ];
+  return Promise.all(
+    cases.map(([type, options]) => {
+      const adapted = plain(
+        DESTINATIONS[type].build(selection, webhook(type, options)),
+      );
+      return sendThroughStub(adapted).then(({ received, status }) => {
+        assert.equal(status, 200);
+        assert.equal(received.method, adapted.method || "POST");
+        if (typeof adapted.body === "string") {
+          assert.equal(received.body, adapted.body);
+        } else {
+          assert.deepEqual(JSON.parse(received.body), adapted.body);
+        }
+        Object.entries(adapted.headers || {}).forEach(([name, value]) => {
+          assert.equal(received.headers[name.toLowerCase()], value);
+        });
+      });
+    }),
+  );
+});
+
+test("a service error answered by the stub is described", () => {
+  const adapted = plain(
+    DESTINATIONS.discord.build(selection, webhook("discord")),
+  );
+  return sendThroughStub(adapted, {
+    status: 400,
+    body: '{"message":"Invalid Form Body","code":50035}',
+  }).then(({ status, text }) => {
+    assert.equal(
+      DESTINATIONS.discord.describeError(status, text),
+      "Discord error 50035: Invalid Form Body",
+    );
+  });
+});
@@ -0,0 +1,81 @@
+// Local webhook receiver for trying destination presets and custom webhooks without a real service.
+// Run `node tools/stub-server.js [--port 8080] [--status 200] [--body text]`, then use
+// http://localhost:8080/hook as the webhook URL. Every request is logged; answering with an error
+// status and a service's error body shows how the extension reports that failure, e.g.
+// `node tools/stub-server.js --status 400 --body '{"message":"Invalid Form Body","code":50035}'`.
+
+const http = require("node:http");
+
+/**
+ * Prints a received request, with JSON bodies pretty-printed.
+ *
+ * @param {{method: string, url: string, headers: object, body: string}} request - The received request.
+ */
+function logRequest(request) {
+  let body = request.body;
+  try {
+    body = JSON.stringify(JSON.parse(body), null, 2);
+  } catch {
+    // Form, multipart, XML and plain text bodies are printed as they are
+  }
+  console.log(`\n${request.method} ${request.url}`);
+  Object.entries(request.headers).forEach(([name, value]) => {
+    console.log(`${name}: ${value}`);
+  });
+  console.log(`\n${body}`);
+}
+
+/**
+ * Starts the stub receiver. Every request is answered with the same status and body,
+ * unless `onRequest` returns a `{status, body}` of its own.
+ *
+ * @param {{port?: number, status?: number, body?: string, onRequest?: Function}} [options] - The port
+ *   (0 for any free port), the answer, and a callback receiving each request as `{method, url, headers, body}`.
+ * @returns {Promise<http.Server>} The listening server.
+ */
+function startStubServer({
+  port = 8080,
+  status = 200,
+  body = "ok",
+  onRequest = logRequest,
+} = {}) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const answer = onRequest({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString("utf8"),
+      }) || { status, body };
+      res.writeHead(answer.status, {
+        "Content-Type": /^\s*[{[]/.test(answer.body)
+          ? "application/json"
+          : "text/plain",
+      });
+      res.end(answer.body);
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => resolve(server));
+  });
+}
+
+if (require.main === module) {
+  const option = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : process.argv[index + 1];
+  };
+  startStubServer({
+    port: Number(option("port", 8080)),
+    status: Number(option("status", 200)),
+    body: option("body", "ok"),
+  }).then((server) => {
+    console.log(
+      `Stub webhook receiver on http://localhost:${server.address().port}/hook`,
+    );
+  });
+}
+
+module.exports = { startStubServer };